@@ -6,32 +6,79 @@ document.addEventListener('DOMContentLoaded', () => {
     let constraints = {};
     let timetables = {};
     let teacherSchedules = {};
+    let roomSchedules = {};
     let allTeachers = [];
+    let currentSeed = null;
+    let currentScore = null;
+    let editor = null; // TimetableGenerator holding the current timetables, used to check manual moves
+    let dragSource = null;
+    let rejectedPins = [];
+    let teacherStats = {}; // getTeacherWorkload() summary, from the worker or the editor after a manual change
+    let structureViolations = []; // getStructureViolations(): double-period rules the timetable doesn't meet exactly
+    // With schoolData.weeks, every week of the cycle has its own result: { weeks, results: { week: result } }.
+    // timetables, unassigned and the rest above always hold the week on screen, currentWeek.
+    let cycle = null;
+    let currentWeek = null;
+    let workloadSort = { key: 'total', descending: true };
+    let pendingImport = null; // CSV import or editor change waiting for review: { kind, source, data, changes, validation }
+    let editorRows = null; // { kind, rows } being edited in the data editor
+    // Pinned lessons are sent to the worker as pre-assignments and survive regeneration
+    const pins = { lessons: new Set(), classes: new Set(), days: new Set() };
+    const storage = new TimetableStorage();
     const unassigned = [];
     
     const generatorWorker = new Worker('generator.worker.js');
 
     const viewModeSelector = document.getElementById('view-mode-selector');
+    const weekContainer = document.getElementById('week-selector-container');
+    const weekSelector = document.getElementById('week-selector');
     const classSelector = document.getElementById('class-selector');
     const teacherSelector = document.getElementById('teacher-selector');
+    const roomSelector = document.getElementById('room-selector');
     const classContainer = document.getElementById('class-selector-container');
     const teacherContainer = document.getElementById('teacher-selector-container');
+    const roomContainer = document.getElementById('room-selector-container');
+    const coverContainer = document.getElementById('cover-selector-container');
+    const coverTeacherSelector = document.getElementById('cover-teacher-selector');
+    const coverDaySelector = document.getElementById('cover-day-selector');
+    const coverPeriodsInput = document.getElementById('cover-periods-input');
+    const csvKindSelector = document.getElementById('csv-kind-selector');
+    const importCsvInput = document.getElementById('import-csv-input');
+    const csvPreviewContainer = document.getElementById('csv-import-preview');
+    const editorContainer = document.getElementById('editor-selector-container');
+    const editorSectionSelector = document.getElementById('editor-section-selector');
+    const constraintsList = document.getElementById('constraints-list');
+    const termStartInput = document.getElementById('term-start-input');
+    const termEndInput = document.getElementById('term-end-input');
     const timetableContainer = document.getElementById('timetable-container');
     const statusMessageContainer = document.getElementById('status-message');
+    const validationReportContainer = document.getElementById('validation-report');
+    const editFeedbackContainer = document.getElementById('edit-feedback');
+    const pinClassToggle = document.getElementById('pin-class-toggle');
+    const versionSelector = document.getElementById('version-selector');
+    const importVersionInput = document.getElementById('import-version-input');
     const regenerateBtn = document.getElementById('regenerate-btn');
+    const seedInput = document.getElementById('seed-input');
+    const attemptsInput = document.getElementById('attempts-input');
+    const timeBudgetInput = document.getElementById('time-budget-input');
 
+    // Both read schoolData.classes through the generator so the viewer and generator never disagree
     function getClassDivision(className) {
-        // Update if your class naming changes, but this matches timetable-generator.js
-        const year = parseInt(className[0]);
-        if (year <= 3) return "lowerPrimary";
-        if (year <= 6) return "upperPrimary";
-        return "lowerSecondary";
+        return TimetableGenerator.getClassDivision(schoolData, className);
     }
 
-    function getPeriodType(division, periodId) {
-        const divisionSchedule = schoolData.divisionSchedules[division];
-        if (periodId === divisionSchedule.breakPeriod) return "break";
-        if (periodId === divisionSchedule.lunchPeriod) return "lunch";
+    function getClassSchedule(className) {
+        return TimetableGenerator.getClassSchedule(schoolData, className);
+    }
+
+    // The week on screen's subjects and special events; the whole schoolData without a cycle
+    function getWeekData() {
+        return currentWeek ? TimetableGenerator.getWeekSchoolData(schoolData, currentWeek) : schoolData;
+    }
+
+    function getPeriodType(classSchedule, periodId) {
+        if (periodId === classSchedule.breakPeriod) return "break";
+        if (periodId === classSchedule.lunchPeriod) return "lunch";
         return "lesson";
     }
 
@@ -54,20 +101,151 @@ document.addEventListener('DOMContentLoaded', () => {
         return subjectColors[str];
     }
     
+    // --- PINNING ---
+    // Lesson and day pins belong to one week of a cycle; class pins hold in every week
+    function weekKey(key, week = currentWeek) {
+        return week ? `${week}|${key}` : key;
+    }
+
+    function lessonKey(className, day, periodId, week = currentWeek) {
+        return weekKey(`${className}|${day}|${periodId}`, week);
+    }
+
+    function isLessonPinned(className, day, periodId, week = currentWeek) {
+        return pins.lessons.has(lessonKey(className, day, periodId, week)) || pins.classes.has(className) || pins.days.has(weekKey(day, week));
+    }
+
+    function togglePin(set, key) {
+        if (set.has(key)) set.delete(key); else set.add(key);
+        autosaveCurrent();
+        refreshCurrentView();
+    }
+
+    // In a cycle, pins from every week are sent, each with the week it belongs to
+    function getPreAssignments() {
+        const preAssignments = [];
+        (cycle ? cycle.weeks : [null]).forEach(week => {
+            Object.entries(week ? getWeekTimetables(week) : timetables).forEach(([className, classTimetable]) => {
+                Object.entries(classTimetable).forEach(([day, dayLessons]) => {
+                    Object.entries(dayLessons).forEach(([periodId, lesson]) => {
+                        if (isLessonPinned(className, day, periodId, week)) {
+                            preAssignments.push({ className, day, periodId: Number(periodId), subject: lesson.subject, teacher: lesson.teacher, room: lesson.room, ...(week && { week }) });
+                        }
+                    });
+                });
+            });
+        });
+        return preAssignments;
+    }
+
+    function renderDayCell(row, day) {
+        const dayCell = row.insertCell();
+        const pinned = pins.days.has(weekKey(day));
+        dayCell.className = 'day-header pin-target';
+        dayCell.textContent = pinned ? `📌 ${day}` : day;
+        dayCell.title = pinned ? `Unpin ${day} for every class` : `Pin ${day} for every class`;
+        dayCell.addEventListener('click', () => togglePin(pins.days, weekKey(day)));
+    }
+
+    function addPinButton(lessonDiv, className, day, periodId) {
+        const pinBtn = document.createElement('button');
+        pinBtn.className = 'pin-toggle';
+        pinBtn.textContent = '📌';
+        pinBtn.title = pins.lessons.has(lessonKey(className, day, periodId)) ? 'Unpin lesson' : 'Pin lesson';
+        pinBtn.addEventListener('click', () => togglePin(pins.lessons, lessonKey(className, day, periodId)));
+        lessonDiv.appendChild(pinBtn);
+    }
+
+    // --- MANUAL EDITING ---
+    function loadEditor(result) {
+        editor = new TimetableGenerator(getWeekData(), constraints);
+        // The editor owns the timetables from here on, so moves and the views always agree
+        timetables = editor.loadTimetables(result);
+    }
+
+    function showEditFeedback(message, type) {
+        editFeedbackContainer.className = type;
+        editFeedbackContainer.innerHTML = message;
+    }
+
+    function makeDraggable(lessonDiv, day, periodId) {
+        lessonDiv.draggable = true;
+        lessonDiv.addEventListener('dragstart', (e) => {
+            dragSource = { day, periodId };
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', `${day}:${periodId}`);
+        });
+        lessonDiv.addEventListener('dragend', () => {
+            dragSource = null;
+            timetableContainer.querySelectorAll('.drop-valid, .drop-invalid').forEach(c => c.classList.remove('drop-valid', 'drop-invalid'));
+        });
+    }
+
+    function makeDropTarget(cell, className, day, periodId) {
+        cell.addEventListener('dragenter', () => {
+            if (!dragSource) return;
+            const check = isLessonPinned(className, day, periodId) && timetables[className][day][periodId]
+                ? { valid: false, reason: 'Pinned lesson' }
+                : editor.moveLesson(className, dragSource.day, dragSource.periodId, day, periodId, true);
+            cell.classList.toggle('drop-valid', check.valid);
+            cell.classList.toggle('drop-invalid', !check.valid);
+            cell.title = check.valid ? '' : check.reason;
+        });
+        cell.addEventListener('dragleave', (e) => {
+            if (cell.contains(e.relatedTarget)) return;
+            cell.classList.remove('drop-valid', 'drop-invalid');
+            cell.title = '';
+        });
+        // Always accept the drag so a refused drop still fires and can explain itself
+        cell.addEventListener('dragover', (e) => e.preventDefault());
+        cell.addEventListener('drop', (e) => {
+            e.preventDefault();
+            if (!dragSource) return;
+            const from = dragSource;
+            const result = isLessonPinned(className, day, periodId) && timetables[className][day][periodId]
+                ? { valid: false, reason: 'Pinned lesson' }
+                : editor.moveLesson(className, from.day, from.periodId, day, periodId);
+            if (result.valid) {
+                showEditFeedback(`Moved ${className} ${from.day} period ${from.periodId} to ${day} period ${periodId}${result.swapped ? ' (swapped)' : ''}.`, 'edit-success');
+                processResults();
+                teacherStats = editor.getTeacherWorkload();
+                structureViolations = editor.getStructureViolations();
+                updateStatusMessage();
+                autosaveCurrent();
+                renderClassTimetable(className);
+            } else {
+                showEditFeedback(`<strong>Move refused:</strong> ${result.reason}`, 'edit-error');
+                cell.classList.remove('drop-valid', 'drop-invalid');
+            }
+        });
+    }
+
     function renderClassTimetable(className) {
-        if (!timetables[className] || !schoolData.periods) {
+        const table = buildClassTable(className, true);
+        if (!table) {
             timetableContainer.innerHTML = '<p>No timetable data available for this class.</p>';
             return;
         }
+        pinClassToggle.checked = pins.classes.has(className);
+        timetableContainer.innerHTML = '';
+        timetableContainer.appendChild(table);
+    }
+
+    // The class grid, shared by the screen view and the print layouts. Only the interactive
+    // version gets pin buttons, day pins and drag and drop.
+    function buildClassTable(className, interactive) {
+        const classSchedule = getClassSchedule(className);
+        if (!timetables[className] || !schoolData.periods || !classSchedule) return null;
     
         const classTimetable = timetables[className];
         const division = getClassDivision(className);
+        const { specialEvents } = getWeekData();
         const table = document.createElement('table');
         table.className = 'timetable-grid';
     
-        // Dynamic period range: include all lesson slots, break and lunch (based on division schedule)
-        const divisionSlots = schoolData.divisionSchedules[division].lessonSlots;
-        const breakAndLunch = [schoolData.divisionSchedules[division].breakPeriod, schoolData.divisionSchedules[division].lunchPeriod];
+        // Dynamic period range: include all lesson slots, break and lunch (based on the class schedule)
+        const divisionSlots = classSchedule.lessonSlots;
+        const breakAndLunch = [classSchedule.breakPeriod, classSchedule.lunchPeriod];
         const allDayPeriods = [...divisionSlots, ...breakAndLunch];
         const lastPeriodId = Math.max(...allDayPeriods);
         const displayPeriods = schoolData.periods.filter(p => p.type !== 'arrival' && p.id <= lastPeriodId);
@@ -85,14 +263,15 @@ document.addEventListener('DOMContentLoaded', () => {
         const tbody = table.createTBody();
         schoolData.days.forEach(day => {
             const row = tbody.insertRow();
-            row.insertCell().textContent = day;
+            if (interactive) renderDayCell(row, day);
+            else row.insertCell().textContent = day;
     
             displayPeriods.forEach(period => {
                 const cell = row.insertCell();
                 const lessonData = classTimetable[day]?.[period.id];
                 
                 // Find special event for this period, division, and day
-                const specialEvent = schoolData.specialEvents.find(event => 
+                const specialEvent = specialEvents.find(event => 
                     event.day === day &&
                     (
                         (event.periodId === period.id) ||
@@ -104,7 +283,7 @@ document.addEventListener('DOMContentLoaded', () => {
                     )
                 );
     
-                const periodType = getPeriodType(division, period.id);
+                const periodType = getPeriodType(classSchedule, period.id);
     
                 if (specialEvent) {
                     const eventDiv = document.createElement('div');
@@ -124,26 +303,43 @@ document.addEventListener('DOMContentLoaded', () => {
                     lunchDiv.style.backgroundColor = '#e67e22';
                     lunchDiv.innerHTML = `<span class="subject">Lunch</span>`;
                     cell.appendChild(lunchDiv);
-                } else if (lessonData) {
-                    const lessonDiv = document.createElement('div');
-                    lessonDiv.className = 'lesson';
-                    lessonDiv.style.backgroundColor = getSubjectColor(lessonData.subject);
-                    lessonDiv.innerHTML = `<span class="subject">${lessonData.subject}</span><span class="teacher">${lessonData.teacher}</span>`;
-                    cell.appendChild(lessonDiv);
+                } else {
+                    // Free and occupied lesson slots can both take a dropped lesson
+                    if (interactive && editor) makeDropTarget(cell, className, day, period.id);
+                    if (lessonData) {
+                        const lessonDiv = document.createElement('div');
+                        const pinned = isLessonPinned(className, day, period.id);
+                        lessonDiv.className = pinned ? 'lesson pinned' : 'lesson';
+                        lessonDiv.style.backgroundColor = getSubjectColor(lessonData.subject);
+                        lessonDiv.innerHTML = `<span class="subject">${lessonData.subject}</span><span class="teacher">${lessonTeachers(lessonData).join(', ')}</span>${roomLabel(lessonData.room)}`;
+                        if (interactive) {
+                            addPinButton(lessonDiv, className, day, period.id);
+                            // Pinned lessons stay put; unpin to move them
+                            if (editor && !pinned) makeDraggable(lessonDiv, day, period.id);
+                        }
+                        cell.appendChild(lessonDiv);
+                    }
                 }
             });
         });
-        timetableContainer.innerHTML = '';
-        timetableContainer.appendChild(table);
+        return table;
     }
 
     function renderTeacherTimetable(teacherName) {
-        if (!teacherSchedules[teacherName] || !schoolData.periods) {
+        const table = buildTeacherTable(teacherName);
+        if (!table) {
             timetableContainer.innerHTML = '<p>No timetable data available for this teacher.</p>';
             return;
         }
+        timetableContainer.innerHTML = '';
+        timetableContainer.appendChild(table);
+    }
+
+    function buildTeacherTable(teacherName) {
+        if (!teacherSchedules[teacherName] || !schoolData.periods) return null;
     
         const teacherData = teacherSchedules[teacherName];
+        const { specialEvents } = getWeekData();
         const table = document.createElement('table');
         table.className = 'timetable-grid';
     
@@ -169,7 +365,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 const lessonData = teacherData[day]?.[period.id];
     
                 // Only show special event if it applies to "all" (since we don't know division here)
-                const specialEvent = schoolData.specialEvents.find(event =>
+                const specialEvent = specialEvents.find(event =>
                     event.day === day &&
                     (
                         (event.periodId === period.id) ||
@@ -177,12 +373,22 @@ document.addEventListener('DOMContentLoaded', () => {
                     ) &&
                     (event.appliesTo === 'all')
                 );
+
+                // Shade the slots the teacher can't (or would rather not) teach
+                const unavailable = TimetableGenerator.getTeacherUnavailability(constraints, teacherName, day, period.id);
+                if (unavailable) {
+                    cell.classList.add('teacher-unavailable');
+                    cell.title = unavailable;
+                } else if (TimetableGenerator.getTeacherPreferNotWeight(constraints, teacherName, day, period.id) > 0) {
+                    cell.classList.add('teacher-prefer-not');
+                    cell.title = 'Teacher would prefer not to teach here';
+                }
     
                 if (lessonData) {
                     const lessonDiv = document.createElement('div');
-                    lessonDiv.className = 'lesson';
+                    lessonDiv.className = isLessonPinned(lessonData.className, day, period.id) ? 'lesson pinned' : 'lesson';
                     lessonDiv.style.backgroundColor = getSubjectColor(lessonData.subject);
-                    lessonDiv.innerHTML = `<span class="subject">${lessonData.subject}</span><span class="class-name">Class ${lessonData.className}</span>`;
+                    lessonDiv.innerHTML = `<span class="subject">${lessonData.subject}</span><span class="class-name">Class ${lessonData.className}</span>${roomLabel(lessonData.room)}`;
                     cell.appendChild(lessonDiv);
                 } else if (specialEvent) {
                     const eventDiv = document.createElement('div');
@@ -193,26 +399,600 @@ document.addEventListener('DOMContentLoaded', () => {
                 }
             });
         });
+        return table;
+    }
+    
+    function roomLabel(room) {
+        return room ? `<span class="room">${room}</span>` : '';
+    }
+
+    function renderRoomTimetable(roomName) {
+        if (!roomSchedules[roomName] || !schoolData.periods) {
+            timetableContainer.innerHTML = '<p>No lessons are timetabled in this room.</p>';
+            return;
+        }
+    
+        const roomData = roomSchedules[roomName];
+        const table = document.createElement('table');
+        table.className = 'timetable-grid';
+    
+        // Rooms are shared across divisions, so show the full day like the teacher view
+        const displayPeriods = schoolData.periods.filter(p => p.type !== 'arrival');
+        const thead = table.createTHead();
+        const headerRow = thead.insertRow();
+        headerRow.insertCell().textContent = 'Day';
+        displayPeriods.forEach(period => {
+            const th = document.createElement('th');
+            th.className = 'time-header';
+            th.textContent = period.time;
+            headerRow.appendChild(th);
+        });
+    
+        const tbody = table.createTBody();
+        schoolData.days.forEach(day => {
+            const row = tbody.insertRow();
+            row.insertCell().textContent = day;
+    
+            displayPeriods.forEach(period => {
+                const cell = row.insertCell();
+                const lessonData = roomData[day]?.[period.id];
+                if (lessonData) {
+                    const lessonDiv = document.createElement('div');
+                    lessonDiv.className = 'lesson';
+                    lessonDiv.style.backgroundColor = getSubjectColor(lessonData.subject);
+                    lessonDiv.innerHTML = `<span class="subject">${lessonData.subject}</span><span class="class-name">Class ${lessonData.classNames.join(', ')}</span><span class="teacher">${lessonData.teacher}</span>`;
+                    cell.appendChild(lessonDiv);
+                }
+            });
+        });
     
         timetableContainer.innerHTML = '';
         timetableContainer.appendChild(table);
     }
     
+    // 'over' when the timetable breaks a limit, 'near' when a day or the week is at its limit
+    function getWorkloadStatus(stats) {
+        const { perDay, perWeek, consecutive, gapsPerDay } = stats.limits;
+        const dailyLoads = Object.values(stats.daily);
+        const dailyGaps = Object.values(stats.gaps);
+        if (dailyLoads.some(n => n > perDay) || (perWeek && stats.total > perWeek) ||
+            (consecutive && stats.longestRun > consecutive) || (gapsPerDay != null && dailyGaps.some(n => n > gapsPerDay))) {
+            return 'over';
+        }
+        if (dailyLoads.some(n => n >= perDay) || (perWeek && stats.total >= perWeek * 0.9) || stats.total < stats.required) {
+            return 'near';
+        }
+        return 'ok';
+    }
+
+    function renderWorkloadDashboard() {
+        const teachers = Object.keys(teacherStats);
+        if (teachers.length === 0) {
+            timetableContainer.innerHTML = '<p>No workload data available yet.</p>';
+            return;
+        }
+
+        const totalGaps = stats => Object.values(stats.gaps).reduce((acc, n) => acc + n, 0);
+        const columns = [
+            { key: 'teacher', label: 'Teacher', value: teacher => teacher },
+            { key: 'partTime', label: 'Part-time', value: teacher => teacherStats[teacher].partTime ? 1 : 0 },
+            { key: 'total', label: 'Weekly total', value: teacher => teacherStats[teacher].total },
+            ...schoolData.days.map(day => ({ key: day, label: day.substr(0, 3), value: teacher => teacherStats[teacher].daily[day] })),
+            { key: 'gaps', label: 'Gaps', value: teacher => totalGaps(teacherStats[teacher]) },
+            { key: 'longestRun', label: 'Longest run', value: teacher => teacherStats[teacher].longestRun }
+        ];
+        const sortColumn = columns.find(c => c.key === workloadSort.key) || columns[2];
+        teachers.sort((a, b) => {
+            const [x, y] = [sortColumn.value(a), sortColumn.value(b)];
+            const order = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return workloadSort.descending ? -order : order;
+        });
+
+        const table = document.createElement('table');
+        table.className = 'workload-table';
+        const headerRow = table.createTHead().insertRow();
+        columns.forEach(column => {
+            const th = document.createElement('th');
+            th.textContent = column.label + (column.key === workloadSort.key ? (workloadSort.descending ? ' ▼' : ' ▲') : '');
+            th.addEventListener('click', () => {
+                workloadSort = { key: column.key, descending: column.key === workloadSort.key ? !workloadSort.descending : column.key !== 'teacher' };
+                renderWorkloadDashboard();
+            });
+            headerRow.appendChild(th);
+        });
+
+        const tbody = table.createTBody();
+        teachers.forEach(teacher => {
+            const stats = teacherStats[teacher];
+            const row = tbody.insertRow();
+            row.className = `workload-${getWorkloadStatus(stats)}`;
+            row.insertCell().textContent = teacher;
+            row.insertCell().textContent = stats.partTime ? 'Part-time' : '';
+            const totalCell = row.insertCell();
+            totalCell.textContent = stats.limits.perWeek ? `${stats.total} / ${stats.limits.perWeek}` : stats.total;
+            if (stats.total < stats.required) totalCell.title = `${stats.required - stats.total} of ${stats.required} periods unscheduled`;
+            schoolData.days.forEach(day => {
+                // Heatmap: the closer to the daily limit, the darker the cell
+                const cell = row.insertCell();
+                const load = stats.daily[day];
+                cell.textContent = load;
+                cell.className = 'heat-cell';
+                cell.style.backgroundColor = `rgba(231, 76, 60, ${Math.min(1, load / stats.limits.perDay).toFixed(2)})`;
+                cell.title = `${load} of ${stats.limits.perDay} periods, ${stats.gaps[day]} gap${stats.gaps[day] === 1 ? '' : 's'}`;
+            });
+            row.insertCell().textContent = totalGaps(stats);
+            row.insertCell().textContent = stats.longestRun;
+        });
+
+        timetableContainer.innerHTML = '';
+        timetableContainer.appendChild(table);
+    }
+
+    // --- CSV IMPORT / EXPORT ---
+    function exportDataCsv() {
+        const kind = csvKindSelector.value;
+        downloadFile(`${toFileName(kind)}.csv`, DataCsv.exportCsv(kind, { schoolData, constraints }), 'text/csv');
+    }
+
+    // Imports are only previewed here; nothing changes until the diff is applied
+    async function importDataCsv(file) {
+        const kind = csvKindSelector.value;
+        try {
+            previewDataChange(kind, DataCsv.importCsv(kind, await file.text()), file.name);
+        } catch (error) {
+            console.error("App: CSV import failed:", error);
+            showEditFeedback(`<strong>Could not import ${file.name}:</strong> ${error.message}`, 'edit-error');
+        } finally {
+            importCsvInput.value = '';
+        }
+    }
+
+    // Shows what replacing one part of the data with `value` would change, and whether it validates
+    function previewDataChange(kind, value, source) {
+        const current = { schoolData, constraints };
+        const data = DataCsv.withValue(current, kind, value);
+        pendingImport = {
+            kind,
+            source,
+            data,
+            changes: DataCsv.diff(DataCsv.getValue(current, kind), value),
+            validation: new TimetableValidator(data.schoolData, data.constraints).validate()
+        };
+        renderCsvPreview();
+    }
+
+    function renderCsvPreview() {
+        if (!pendingImport) {
+            csvPreviewContainer.innerHTML = '';
+            return;
+        }
+        const { kind, source, changes, validation } = pendingImport;
+        const format = value => value === undefined ? '<em>none</em>' : `<code>${JSON.stringify(value)}</code>`;
+        let html = `<h3>${CSV_KINDS[kind].label} from ${source}</h3>`;
+        if (changes.length === 0) {
+            html += '<p>The file matches the current data; there is nothing to change.</p>';
+        } else {
+            html += `<table class="csv-diff"><thead><tr><th>Field</th><th>Current</th><th>Imported</th></tr></thead><tbody>`;
+            html += changes.map(c => `<tr><td>${c.path || kind}</td><td>${format(c.before)}</td><td>${format(c.after)}</td></tr>`).join('');
+            html += '</tbody></table>';
+        }
+        const renderList = items => `<ul>${items.map(item => `<li>${item.message}</li>`).join('')}</ul>`;
+        if (validation.errors.length > 0) {
+            html += `<div class="validation-errors"><strong>With these changes the data has ${validation.errors.length} problem${validation.errors.length > 1 ? 's' : ''}:</strong>${renderList(validation.errors)}</div>`;
+        }
+        if (validation.warnings.length > 0) {
+            html += `<details class="validation-warnings"><summary><strong>${validation.warnings.length} warning${validation.warnings.length > 1 ? 's' : ''}</strong></summary>${renderList(validation.warnings)}</details>`;
+        }
+        // Data with errors can't be applied; fix the file and import it again
+        const canApply = changes.length > 0 && validation.errors.length === 0;
+        html += `<button id="apply-csv-btn" class="secondary-button"${canApply ? '' : ' disabled'}>Apply and regenerate</button> <button id="discard-csv-btn" class="secondary-button">Discard</button>`;
+        csvPreviewContainer.innerHTML = html;
+        document.getElementById('apply-csv-btn').addEventListener('click', applyCsvImport);
+        document.getElementById('discard-csv-btn').addEventListener('click', () => {
+            pendingImport = null;
+            renderCsvPreview();
+        });
+    }
+
+    function applyCsvImport() {
+        const { kind, source, data } = pendingImport;
+        schoolData = data.schoolData;
+        constraints = data.constraints;
+        pendingImport = null;
+        editorRows = null;
+        renderCsvPreview();
+        populateSelectors();
+        renderConstraintsPanel();
+        if (viewModeSelector.value === 'editor') renderDataEditor();
+        showEditFeedback(`Applied ${CSV_KINDS[kind].label.toLowerCase()} from ${source}.`, 'edit-success');
+        generateTimetable();
+    }
+
+    // --- DATA EDITOR ---
+    // Each section is edited as the same rows its CSV export uses, so the editor and spreadsheet
+    // imports share one mapping (DataCsv) and one review step before anything changes.
+    const MATRIX_SECTIONS = ['teachers', 'subjects'];
+
+    function renderDataEditor() {
+        const kind = editorSectionSelector.value;
+        if (!editorRows || editorRows.kind !== kind) {
+            editorRows = { kind, rows: DataCsv.parse(DataCsv.exportCsv(kind, { schoolData, constraints })) };
+        }
+        const { rows } = editorRows;
+        const isMatrix = MATRIX_SECTIONS.includes(kind);
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'data-editor';
+        const hint = isMatrix
+            ? 'Edit the headings to rename columns. Leave a cell empty to remove it.'
+            : 'Separate several days, periods or divisions in one cell with ";".';
+        wrapper.innerHTML = `<h2>${CSV_KINDS[kind].label}</h2><p class="editor-hint">${hint}</p>`;
+
+        const table = document.createElement('table');
+        table.className = 'data-editor-table';
+        const width = Math.max(...rows.map(r => r.length));
+        rows.forEach((row, rowIndex) => {
+            const tr = rowIndex === 0 ? table.createTHead().insertRow() : (table.tBodies[0] || table.createTBody()).insertRow();
+            for (let col = 0; col < width; col++) {
+                const cell = tr.insertCell();
+                // Fixed-format sections keep their column headings
+                if (rowIndex === 0 && (!isMatrix || col === 0)) {
+                    cell.textContent = row[col] || '';
+                    continue;
+                }
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.value = row[col] || '';
+                input.addEventListener('input', () => row[col] = input.value);
+                cell.appendChild(input);
+            }
+            const actions = tr.insertCell();
+            if (rowIndex > 0) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'secondary-button';
+                removeBtn.textContent = '✕';
+                removeBtn.title = 'Remove row';
+                removeBtn.addEventListener('click', () => {
+                    rows.splice(rowIndex, 1);
+                    renderDataEditor();
+                });
+                actions.appendChild(removeBtn);
+            }
+        });
+        wrapper.appendChild(table);
+
+        const buttons = document.createElement('div');
+        buttons.className = 'editor-actions';
+        const addButton = (label, onClick) => {
+            const button = document.createElement('button');
+            button.className = 'secondary-button';
+            button.textContent = label;
+            button.addEventListener('click', onClick);
+            buttons.appendChild(button);
+        };
+        addButton('Add row', () => {
+            rows.push(new Array(width).fill(''));
+            renderDataEditor();
+        });
+        if (isMatrix) {
+            addButton('Add column', () => {
+                rows.forEach((row, i) => row[width] = i === 0 ? 'New' : '');
+                renderDataEditor();
+            });
+        }
+        addButton('Undo edits', () => {
+            editorRows = null;
+            renderDataEditor();
+        });
+        addButton('Review changes', () => {
+            try {
+                previewDataChange(kind, DataCsv.importCsv(kind, DataCsv.stringify(rows)), 'the data editor');
+                csvPreviewContainer.scrollIntoView({ behavior: 'smooth' });
+            } catch (error) {
+                showEditFeedback(`<strong>Cannot use these ${CSV_KINDS[kind].label.toLowerCase()}:</strong> ${error.message}`, 'edit-error');
+            }
+        });
+        // Edits live in the browser until data.json is replaced with this download
+        addButton('Download data.json', () => downloadFile('data.json', JSON.stringify({ schoolData, constraints }, null, 2), 'application/json'));
+        wrapper.appendChild(buttons);
+
+        timetableContainer.innerHTML = '';
+        timetableContainer.appendChild(wrapper);
+    }
+
+    // The "Scheduling Constraints" summary, built from the data in use rather than written by hand
+    function renderConstraintsPanel() {
+        const items = [];
+        const list = values => values.join(', ');
+        const availability = constraints.teacherAvailability || {};
+        const describeAvailability = teacher => {
+            const rule = availability[teacher] || {};
+            const parts = [];
+            if (rule.availableDays) parts.push(list(rule.availableDays.map(d => d.substr(0, 3))));
+            if (rule.unavailableDays) parts.push(`not ${list(rule.unavailableDays.map(d => d.substr(0, 3)))}`);
+            (rule.windows || []).forEach(w => parts.push(`P${w.from}-${w.to}${w.days ? ` on ${list(w.days.map(d => d.substr(0, 3)))}` : ''}`));
+            (rule.unavailableSlots || []).forEach(s => parts.push(`not P${s.periods.join('/')}${s.days ? ` on ${list(s.days.map(d => d.substr(0, 3)))}` : ''}`));
+            return parts.length > 0 ? `${teacher} (${parts.join('; ')})` : teacher;
+        };
+
+        const partTime = constraints.partTimeTeachers || [];
+        if (partTime.length > 0) items.push(`<strong>Part-time Teachers:</strong> ${list(partTime.map(describeAvailability))}`);
+        const otherAvailability = Object.keys(availability).filter(t => !partTime.includes(t));
+        if (otherAvailability.length > 0) items.push(`<strong>Teacher Availability:</strong> ${list(otherAvailability.map(describeAvailability))}`);
+
+        const restrictions = Object.entries(constraints.subjectRestrictions || {});
+        if (restrictions.length > 0) {
+            items.push(`<strong>Subject Restrictions:</strong> ${list(restrictions.map(([subject, rule]) => `${subject} (${list((rule.days || []).map(d => d.substr(0, 3)))} only)`))}`);
+        }
+
+        const doubles = constraints.doublePeriodSubjects || [];
+        const strictDoubles = doubles.filter(r => r.strict === true).map(r => r.subject);
+        const mixed = doubles.filter(r => r.strict === 'mixed').map(r => `${r.subject} ${r.divisions.join('/')} (${r.structure.doubles} doubles + ${r.structure.singles} singles)`);
+        if (strictDoubles.length > 0) items.push(`<strong>Always Doubles:</strong> ${list([...new Set(strictDoubles)])}`);
+        if (mixed.length > 0) items.push(`<strong>Doubles and Singles:</strong> ${list(mixed)}`);
+
+        const weeks = TimetableGenerator.getCycleWeeks(schoolData);
+        if (weeks) {
+            items.push(`<strong>${weeks.length}-Week Cycle:</strong> ${list(schoolData.weeks.map(w => {
+                const changes = Object.entries(w.subjects || {}).map(([division, subjects]) =>
+                    `${division}: ${list(Object.entries(subjects).map(([subject, periods]) => periods ? `${subject} ${periods}` : `no ${subject}`))}`);
+                return changes.length > 0 ? `Week ${w.name} (${changes.join('; ')})` : `Week ${w.name}`;
+            }))}`);
+        }
+
+        const events = schoolData.specialEvents || [];
+        if (events.length > 0) {
+            items.push(`<strong>Special Events:</strong> ${list(events.map(e => {
+                const ids = e.periodIds || [e.periodId];
+                const who = e.appliesTo === 'all' ? '' : `, ${e.appliesTo.join('/')}`;
+                const when = e.weeks ? `, week ${e.weeks.join('/')}` : '';
+                return `${e.name} (${e.day.substr(0, 3)} P${ids.join('-')}${who}${when})`;
+            }))}`);
+        }
+
+        const limits = constraints.workloadLimits || {};
+        const workload = [
+            limits.maxTeacherPeriodsPerDay && `max ${limits.maxTeacherPeriodsPerDay} periods a day`,
+            limits.maxTeacherPeriodsPerWeek && `max ${limits.maxTeacherPeriodsPerWeek} a week`,
+            limits.maxTeacherConsecutivePeriods && `max ${limits.maxTeacherConsecutivePeriods} in a row`,
+            limits.maxTeacherGapsPerDay != null && `max ${limits.maxTeacherGapsPerDay} gaps a day`,
+            limits.minTeacherFreePeriodsPerDay && `at least ${limits.minTeacherFreePeriodsPerDay} free a day`
+        ].filter(Boolean);
+        if (workload.length > 0) items.push(`<strong>Teacher Workload:</strong> ${list(workload)}`);
+        if (limits.maxClassPeriodsPerDay) items.push(`<strong>Class Daily Limit:</strong> ${limits.maxClassPeriodsPerDay} periods of a subject per day`);
+
+        const groups = [...(constraints.synchronizedGroups || []), ...(constraints.peSynchronization || []).map(classes => ({ classes, subject: 'P.E.' }))];
+        if (groups.length > 0) {
+            items.push(`<strong>Taught Together:</strong> ${list(groups.map(g => g.name || `${g.classes.join('/')} ${g.subject || ''}`.trim()))}`);
+        }
+
+        constraintsList.innerHTML = items.map(item => `<li>${item}</li>`).join('');
+    }
+
+    // --- PRINT LAYOUTS ---
+    // Every class or every teacher one per page, or the whole school on one grid. The pages are
+    // built into #print-area with the same table code as the screen views.
+    function getSchoolName() {
+        return schoolData.schoolName || document.querySelector('header h1').textContent;
+    }
+
+    function buildSubjectLegend(subjects) {
+        const legend = document.createElement('div');
+        legend.className = 'subject-legend';
+        [...subjects].sort().forEach(subject => {
+            const item = document.createElement('span');
+            item.className = 'legend-item';
+            item.innerHTML = `<span class="legend-swatch" style="background-color: ${getSubjectColor(subject)}"></span>${subject}`;
+            legend.appendChild(item);
+        });
+        return legend;
+    }
+
+    function buildPrintPage(title, content, subjects) {
+        const page = document.createElement('section');
+        page.className = 'print-page';
+        page.innerHTML = `<p class="print-school">${getSchoolName()}</p><h2>${title}${currentWeek ? ` - Week ${currentWeek}` : ''}</h2>`;
+        page.appendChild(content);
+        page.appendChild(buildSubjectLegend(subjects));
+        return page;
+    }
+
+    function subjectsIn(schedule) {
+        return new Set(Object.values(schedule).flatMap(dayLessons => Object.values(dayLessons).map(lesson => lesson.subject)));
+    }
+
+    // All classes down the side, every lesson period of every day across the top
+    function buildMasterGrid() {
+        const periods = schoolData.periods.filter(p => p.type === 'lesson');
+        const table = document.createElement('table');
+        table.className = 'timetable-grid master-grid';
+        const thead = table.createTHead();
+        const dayRow = thead.insertRow();
+        dayRow.insertCell().textContent = 'Class';
+        schoolData.days.forEach(day => {
+            const th = document.createElement('th');
+            th.colSpan = periods.length;
+            th.textContent = day;
+            dayRow.appendChild(th);
+        });
+        const periodRow = thead.insertRow();
+        periodRow.insertCell();
+        schoolData.days.forEach(() => periods.forEach(period => {
+            const th = document.createElement('th');
+            th.textContent = period.id;
+            th.title = period.time;
+            periodRow.appendChild(th);
+        }));
+
+        const tbody = table.createTBody();
+        Object.keys(timetables).sort().forEach(className => {
+            const classSchedule = getClassSchedule(className);
+            const row = tbody.insertRow();
+            row.insertCell().textContent = className;
+            schoolData.days.forEach(day => periods.forEach(period => {
+                const cell = row.insertCell();
+                const lesson = timetables[className][day]?.[period.id];
+                if (lesson) {
+                    cell.textContent = lesson.subject;
+                    cell.title = `${lesson.subject}, ${lessonTeachers(lesson).join(', ')}${lesson.room ? `, ${lesson.room}` : ''}`;
+                    cell.style.backgroundColor = getSubjectColor(lesson.subject);
+                } else if (classSchedule && getPeriodType(classSchedule, period.id) !== 'lesson') {
+                    cell.className = 'master-break';
+                }
+            }));
+        });
+        return table;
+    }
+
+    function printLayout(layout) {
+        const printArea = document.getElementById('print-area');
+        printArea.innerHTML = '';
+        if (layout === 'classes') {
+            Object.keys(timetables).sort().forEach(className => {
+                const table = buildClassTable(className, false);
+                if (table) printArea.appendChild(buildPrintPage(`Class ${className}`, table, subjectsIn(timetables[className])));
+            });
+        } else if (layout === 'teachers') {
+            Object.keys(teacherSchedules).sort().forEach(teacher => {
+                const table = buildTeacherTable(teacher);
+                if (table) printArea.appendChild(buildPrintPage(teacher, table, subjectsIn(teacherSchedules[teacher])));
+            });
+        } else {
+            const allSubjects = new Set(Object.values(timetables).flatMap(classTimetable => [...subjectsIn(classTimetable)]));
+            printArea.appendChild(buildPrintPage('Whole-school timetable', buildMasterGrid(), allSubjects));
+        }
+        // Browsers offer "Save as PDF" in the print dialog, which covers PDF output
+        document.body.classList.add('print-bulk');
+        window.print();
+    }
+
+    // "1, 2,5" -> [1, 2, 5]; blank means the whole day
+    function getCoverPeriods() {
+        const periods = coverPeriodsInput.value.split(',').map(p => parseInt(p.trim(), 10)).filter(Number.isInteger);
+        return periods.length > 0 ? periods : null;
+    }
+
+    function renderCoverSheet() {
+        const teacher = coverTeacherSelector.value;
+        const day = coverDaySelector.value;
+        if (!teacher || !day || Object.keys(timetables).length === 0) {
+            timetableContainer.innerHTML = '<p>Choose an absent teacher and a day.</p>';
+            return;
+        }
+        // The planner works on its own copy, so nothing here can change the timetable itself
+        const plan = new CoverPlanner(getWeekData(), constraints, timetables).planCover(teacher, day, getCoverPeriods());
+
+        const sheet = document.createElement('div');
+        sheet.className = 'cover-sheet';
+        const periodText = plan.periodIds ? `periods ${plan.periodIds.join(', ')}` : 'all day';
+        sheet.innerHTML = `<h2>Cover for ${teacher}</h2><p>${day}${currentWeek ? ` of week ${currentWeek}` : ''}, ${periodText}. ${plan.lessons.length} lesson${plan.lessons.length === 1 ? '' : 's'} to cover.</p>`;
+        if (plan.lessons.length === 0) {
+            sheet.innerHTML += `<p>${teacher} has no lessons in that time.</p>`;
+        } else {
+            const table = document.createElement('table');
+            table.className = 'cover-table';
+            table.createTHead().innerHTML = '<tr><th>Period</th><th>Class</th><th>Subject</th><th>Room</th><th>Suggested cover</th><th>Covered by</th></tr>';
+            const tbody = table.createTBody();
+            plan.lessons.forEach(lesson => {
+                const row = tbody.insertRow();
+                row.insertCell().textContent = `${lesson.periodId} (${lesson.time})`;
+                row.insertCell().textContent = lesson.className;
+                row.insertCell().textContent = lesson.subject;
+                row.insertCell().textContent = lesson.room || '';
+                row.insertCell().innerHTML = lesson.suggestions.length === 0
+                    ? '<em>No free teacher</em>'
+                    : `<ol>${lesson.suggestions.map(s => `<li>${s.teacher}${s.subjectMatch ? ` <span class="cover-match">teaches ${lesson.subject}</span>` : s.knowsClass ? ' <span class="cover-match">teaches this class</span>' : ''} <small>(${s.load} period${s.load === 1 ? '' : 's'} today)</small></li>`).join('')}</ol>`;
+                row.insertCell().className = 'cover-signoff';
+            });
+            sheet.appendChild(table);
+        }
+
+        timetableContainer.innerHTML = '';
+        timetableContainer.appendChild(sheet);
+    }
+
     function processResults() {
-        teacherSchedules = {};
-        for (const className in timetables) {
-            for (const day in timetables[className]) {
-                for (const periodId in timetables[className][day]) {
-                    const lesson = timetables[className][day][periodId];
-                    const teacher = lesson.teacher;
-                    if (!teacherSchedules[teacher]) teacherSchedules[teacher] = {};
-                    if (!teacherSchedules[teacher][day]) teacherSchedules[teacher][day] = {};
-                    teacherSchedules[teacher][day][periodId] = { subject: lesson.subject, className: className };
+        ({ teacherSchedules, roomSchedules } = collectSchedules(timetables));
+    }
+
+    // Everyone teaching a lesson: its teacher plus any extra teachers of a synchronized group
+    function lessonTeachers(lesson) {
+        return lesson.teachers || [lesson.teacher];
+    }
+
+    // The teacher and room views of a set of class timetables
+    function collectSchedules(classTimetables) {
+        const teachers = {};
+        const rooms = {};
+        for (const className in classTimetables) {
+            for (const day in classTimetables[className]) {
+                for (const periodId in classTimetables[className][day]) {
+                    const lesson = classTimetables[className][day][periodId];
+                    const teacher = lessonTeachers(lesson).join(', ');
+                    lessonTeachers(lesson).forEach(name => {
+                        if (!teachers[name]) teachers[name] = {};
+                        if (!teachers[name][day]) teachers[name][day] = {};
+                        // A synchronized group's extra teachers take all of its classes in the one period
+                        const existing = teachers[name][day][periodId];
+                        if (existing) existing.className += `, ${className}`;
+                        else teachers[name][day][periodId] = { subject: lesson.subject, className: className, room: lesson.room };
+                    });
+                    if (lesson.room) {
+                        if (!rooms[lesson.room]) rooms[lesson.room] = {};
+                        if (!rooms[lesson.room][day]) rooms[lesson.room][day] = {};
+                        // Synced groups share a room, so one slot can list several classes
+                        const existing = rooms[lesson.room][day][periodId];
+                        if (existing) existing.classNames.push(className);
+                        else rooms[lesson.room][day][periodId] = { subject: lesson.subject, teacher, classNames: [className] };
+                    }
                 }
             }
         }
+        return { teacherSchedules: teachers, roomSchedules: rooms };
     }
     
+    // The most common reasons the remaining slots refused the lesson, e.g. teacher workload limits
+    function formatBlockedBy(blockedBy) {
+        if (!blockedBy) return '';
+        const top = Object.entries(blockedBy).sort((a, b) => b[1] - a[1]).slice(0, 3);
+        if (top.length === 0) return '';
+        return `<br><small>Blocked by: ${top.map(([reason, slots]) => `${reason} (${slots} slot${slots > 1 ? 's' : ''})`).join(', ')}</small>`;
+    }
+
+    // Colour groups for the diagnostic heatmap
+    function getBlockCategory(reason) {
+        if (reason.startsWith('Teacher')) return 'teacher';
+        if (reason === 'Class booked') return 'class';
+        if (reason.includes('special event')) return 'event';
+        if (reason.startsWith('Subject')) return 'subject';
+        if (reason.endsWith('booked')) return 'room';
+        return 'other';
+    }
+
+    // Expandable breakdown of every slot of the week: free, or the rules that refused the lesson.
+    // A cell is coloured by the first rule; its tooltip lists them all. Synchronized groups ("5A,5B")
+    // are laid out on their first class's slots.
+    function formatDiagnostic(className, { blockedBy, slotReasons }) {
+        const classSchedule = getClassSchedule(className.split(',')[0]);
+        if (!slotReasons || !classSchedule) return '';
+        const slots = classSchedule.lessonSlots;
+        const rows = schoolData.days.map(day => {
+            const cells = slots.map(slot => {
+                const reasons = slotReasons[day]?.[slot];
+                return reasons
+                    ? `<td class="block-${getBlockCategory(reasons[0])}" title="${reasons.join('\n')}"></td>`
+                    : '<td class="block-free" title="Free"></td>';
+            }).join('');
+            return `<tr><th>${day.substr(0, 3)}</th>${cells}</tr>`;
+        }).join('');
+        const reasons = Object.entries(blockedBy || {}).sort((a, b) => b[1] - a[1])
+            .map(([reason, count]) => `<li><span class="block-key block-${getBlockCategory(reason)}"></span>${reason}: ${count} slot${count > 1 ? 's' : ''}</li>`)
+            .join('');
+        return `<details class="diagnostic"><summary>Why?</summary>` +
+            `<table class="diagnostic-heatmap"><tr><th></th>${slots.map(s => `<th>${s}</th>`).join('')}</tr>${rows}</table>` +
+            `<ol class="diagnostic-reasons">${reasons}</ol></details>`;
+    }
+
     function updateStatusMessage() {
         if (unassigned.length > 0) {
             statusMessageContainer.className = 'status-warning';
@@ -220,12 +1000,12 @@ document.addEventListener('DOMContentLoaded', () => {
             // Group by class/subject, show reason and count
             const grouped = unassigned.reduce((acc, item) => {
                 const key = `${item.className || item.classGroup} - ${item.subject}`;
-                if (!acc[key]) acc[key] = { count: 0, reason: item.reason };
+                if (!acc[key]) acc[key] = { count: 0, reason: item.reason, item };
                 acc[key].count += (item.periodsRemaining || 1);
                 return acc;
             }, {});
-            for (const [key, { count, reason }] of Object.entries(grouped)) {
-                message += `<li><strong>${key}:</strong> ${reason} (${count > 1 ? `${count} times` : 'once'})</li>`;
+            for (const [key, { count, reason, item }] of Object.entries(grouped)) {
+                message += `<li><strong>${key}:</strong> ${reason} (${count > 1 ? `${count} times` : 'once'})${formatBlockedBy(item.blockedBy)}${formatDiagnostic(item.className, item)}</li>`;
             }
             message += `</ul>`;
             statusMessageContainer.innerHTML = message;
@@ -233,18 +1013,369 @@ document.addEventListener('DOMContentLoaded', () => {
             statusMessageContainer.className = 'status-success';
             statusMessageContainer.innerHTML = '<strong>Success!</strong> All lessons were scheduled successfully.';
         }
+        appendCycleInfo();
+        appendRejectedPins();
+        appendStructureViolations();
+        appendScoreInfo();
+        appendSeedInfo();
+    }
+
+    function formatScore(score) {
+        return `${score.total} <span class="score-breakdown">(unassigned periods: ${score.unassignedPeriods}, teacher load spread: ${score.teacherLoadSpread}, subject clustering: ${score.subjectClustering}, soft constraint penalty: ${score.softPenalty})</span>`;
+    }
+
+    // Everything above is about the week on screen; this lists how every week of the cycle came out
+    function appendCycleInfo() {
+        if (!cycle) return;
+        const cycleInfo = document.createElement('div');
+        cycleInfo.className = 'seed-info';
+        cycleInfo.innerHTML = `Showing week ${currentWeek}.<ul>${cycle.weeks.map(week => {
+            const missing = (week === currentWeek ? unassigned : cycle.results[week].unassigned).reduce((acc, u) => acc + (u.periodsRemaining || 1), 0);
+            return `<li>Week ${week}: ${missing > 0 ? `${missing} period${missing > 1 ? 's' : ''} unassigned` : 'all lessons scheduled'}</li>`;
+        }).join('')}</ul>`;
+        statusMessageContainer.appendChild(cycleInfo);
+    }
+
+    function appendRejectedPins() {
+        if (rejectedPins.length === 0) return;
+        const pinInfo = document.createElement('div');
+        pinInfo.className = 'seed-info';
+        pinInfo.innerHTML = `<strong>${rejectedPins.length} pinned lesson${rejectedPins.length > 1 ? 's' : ''} could not be kept:</strong><ul>${
+            rejectedPins.map(p => `<li>${p.className} ${p.subject} on ${p.day} period ${p.periodId}: ${p.reason}</li>`).join('')
+        }</ul>`;
+        statusMessageContainer.appendChild(pinInfo);
+    }
+
+    function appendStructureViolations() {
+        if (structureViolations.length === 0) return;
+        const structureInfo = document.createElement('div');
+        structureInfo.className = 'seed-info';
+        structureInfo.innerHTML = `<strong>${structureViolations.length} double-period rule${structureViolations.length > 1 ? 's are' : ' is'} not met exactly:</strong><ul>${
+            structureViolations.map(v => `<li>${v.className} ${v.subject}: ${v.reason}</li>`).join('')
+        }</ul>`;
+        statusMessageContainer.appendChild(structureInfo);
+    }
+
+    function appendScoreInfo() {
+        if (!currentScore) return;
+        const scoreInfo = document.createElement('div');
+        scoreInfo.className = 'seed-info';
+        scoreInfo.innerHTML = `Best score (lower is better): ${formatScore(currentScore)}`;
+        statusMessageContainer.appendChild(scoreInfo);
+    }
+
+    function showProgress({ attempt, attempts, bestScore, week }) {
+        statusMessageContainer.className = 'status-info';
+        statusMessageContainer.innerHTML = `<strong>Generating timetable...</strong> ${week ? `Week ${week}, attempt` : 'Attempt'} ${attempt} of ${attempts}, best score so far: ${formatScore(bestScore)}<br><progress class="generation-progress" max="${attempts}" value="${attempt}"></progress>`;
+    }
+
+    function appendSeedInfo() {
+        if (currentSeed === null) return;
+        const seedInfo = document.createElement('div');
+        seedInfo.className = 'seed-info';
+        seedInfo.innerHTML = `Seed: <code>${currentSeed}</code>`;
+        const reuseBtn = document.createElement('button');
+        reuseBtn.textContent = 'Reuse seed';
+        reuseBtn.addEventListener('click', () => { seedInput.value = currentSeed; });
+        seedInfo.appendChild(reuseBtn);
+        statusMessageContainer.appendChild(seedInfo);
+    }
+
+    // Reads a whole number between min and max from a number box; throws an Error naming the box otherwise.
+    // A number box reports text it can't parse as an empty value, so `badInput` tells the two apart.
+    function readWholeNumber(input, label, min, max) {
+        const value = input.value.trim();
+        const number = Number(value);
+        if (input.validity.badInput || value === '' || !Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`${label} must be a whole number from ${min} to ${max}.`);
+        }
+        return number;
+    }
+
+    function getRequestedSeed() {
+        // An empty box means "pick a random seed"; anything else must be a non-negative integer
+        if (seedInput.value.trim() === '' && !seedInput.validity.badInput) return undefined;
+        return readWholeNumber(seedInput, 'Seed', 0, 0xFFFFFFFF);
     }
 
+    function getRequestedAttempts() {
+        return readWholeNumber(attemptsInput, 'Attempts', Number(attemptsInput.min), Number(attemptsInput.max));
+    }
+
+    function getRequestedTimeBudgetMs() {
+        return readWholeNumber(timeBudgetInput, 'Time limit', Number(timeBudgetInput.min), Number(timeBudgetInput.max)) * 1000;
+    }
+
+    function renderValidationReport({ errors, warnings }) {
+        const renderList = (items) => `<ul>${items.map(item => `<li>${item.message}</li>`).join('')}</ul>`;
+        let html = '';
+        if (errors.length > 0) {
+            html += `<div class="validation-errors"><strong>${errors.length} problem${errors.length > 1 ? 's' : ''} in data.json will leave lessons unassigned:</strong>${renderList(errors)}</div>`;
+        }
+        if (warnings.length > 0) {
+            html += `<details class="validation-warnings"><summary><strong>${warnings.length} warning${warnings.length > 1 ? 's' : ''}</strong> about data.json</summary>${renderList(warnings)}</details>`;
+        }
+        validationReportContainer.innerHTML = html;
+    }
+
+    function validateData() {
+        const result = new TimetableValidator(schoolData, constraints).validate();
+        if (!result.valid) console.warn("App: data.json failed validation:", result.errors);
+        renderValidationReport(result);
+        return result;
+    }
+
+    // The worker validates the data it is given and sends the report back with its answer
     function generateTimetable() {
+        let seed, attempts, timeBudgetMs;
+        try {
+            seed = getRequestedSeed();
+            attempts = getRequestedAttempts();
+            timeBudgetMs = getRequestedTimeBudgetMs();
+        } catch (error) {
+            // Nothing is generated from settings that were mistyped; the timetable on screen stays as it was
+            statusMessageContainer.className = 'status-error';
+            statusMessageContainer.innerHTML = `<strong>Cannot generate:</strong> ${error.message}`;
+            return;
+        }
         console.log("App: Asking worker to generate timetable...");
         statusMessageContainer.className = 'status-info';
         statusMessageContainer.innerHTML = '<strong>Generating timetable...</strong> This may take a moment. The UI will remain responsive.';
         regenerateBtn.disabled = true;
         regenerateBtn.textContent = 'Generating...';
-        generatorWorker.postMessage({ schoolData, constraints });
+        statusMessageContainer.innerHTML += `<br><progress class="generation-progress" max="${attempts}" value="0"></progress>`;
+        generatorWorker.postMessage({ schoolData, constraints, seed, attempts, timeBudgetMs, preAssignments: getPreAssignments() });
+    }
+
+    // --- WEEKS OF A CYCLE ---
+    // A generateBest result, or one week of a cycle, becomes the timetable on screen
+    function loadResult(result) {
+        loadEditor(result.timetables);
+        rejectedPins = result.rejectedPreAssignments || [];
+        teacherStats = result.teacherStats || editor.getTeacherWorkload();
+        structureViolations = result.structureViolations || editor.getStructureViolations();
+        unassigned.length = 0;
+        unassigned.push(...result.unassigned);
+        processResults();
+    }
+
+    // Writes manual edits to the week on screen back into the cycle before it is left or saved
+    function storeCurrentWeek() {
+        if (!cycle || !currentWeek) return;
+        Object.assign(cycle.results[currentWeek], { timetables, unassigned: [...unassigned], rejectedPreAssignments: rejectedPins, teacherStats, structureViolations });
+    }
+
+    function getWeekTimetables(week) {
+        return week === currentWeek ? timetables : cycle.results[week].timetables;
+    }
+
+    // Calendars span the whole cycle, so in a cycle they take each schedule keyed by week
+    function byWeek(pick) {
+        return cycle ? Object.fromEntries(cycle.weeks.map(week => [week, pick(getWeekTimetables(week))])) : pick(timetables);
+    }
+
+    function updateWeekSelector() {
+        weekContainer.style.display = cycle ? 'flex' : 'none';
+        weekSelector.innerHTML = cycle ? cycle.weeks.map(week => `<option value="${week}">Week ${week}</option>`).join('') : '';
+        if (cycle) weekSelector.value = currentWeek;
+    }
+
+    function showWeek(week) {
+        storeCurrentWeek();
+        currentWeek = week;
+        loadResult(cycle.results[week]);
+        showEditFeedback('', '');
+        updateStatusMessage();
+        refreshCurrentView();
+    }
+
+    // --- SAVED VERSIONS ---
+    function getCurrentVersion(name) {
+        storeCurrentWeek();
+        return {
+            name,
+            seed: currentSeed,
+            score: currentScore,
+            timetables,
+            unassigned: [...unassigned],
+            pins: { lessons: [...pins.lessons], classes: [...pins.classes], days: [...pins.days] },
+            data: { schoolData, constraints },
+            cycle,
+            week: currentWeek
+        };
+    }
+
+    function autosaveCurrent() {
+        if (!editor) return;
+        try {
+            storage.autosave(getCurrentVersion('Autosave'));
+        } catch (error) {
+            console.warn("App: autosave failed:", error);
+        }
+    }
+
+    // Replace everything on screen with a saved version, including the data it was generated from
+    function applyVersion(version) {
+        schoolData = version.data.schoolData;
+        constraints = version.data.constraints;
+        editorRows = null;
+        cycle = version.cycle || null;
+        currentWeek = cycle ? (cycle.weeks.includes(version.week) ? version.week : cycle.weeks[0]) : null;
+        updateWeekSelector();
+        populateSelectors();
+        renderConstraintsPanel();
+        loadEditor(version.timetables);
+        unassigned.length = 0;
+        unassigned.push(...version.unassigned);
+        currentSeed = version.seed;
+        currentScore = version.score;
+        rejectedPins = [];
+        pins.lessons = new Set(version.pins.lessons);
+        pins.classes = new Set(version.pins.classes);
+        pins.days = new Set(version.pins.days);
+        processResults();
+        teacherStats = editor.getTeacherWorkload();
+        structureViolations = editor.getStructureViolations();
+        validateData();
+        updateStatusMessage();
+        refreshCurrentView();
+    }
+
+    function refreshVersionList(selectedId = '') {
+        versionSelector.innerHTML = '<option value="">Current (unsaved)</option>';
+        storage.listVersions().forEach(({ id, name, savedAt, score }) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = `${name} (${new Date(savedAt).toLocaleString()}${score ? `, score ${score.total}` : ''})`;
+            versionSelector.appendChild(option);
+        });
+        versionSelector.value = selectedId;
+    }
+
+    function saveCurrentVersion() {
+        if (!editor) return;
+        const selected = versionSelector.value ? storage.loadVersion(versionSelector.value) : null;
+        const name = window.prompt('Name this version:', selected ? selected.name : `Draft ${new Date().toLocaleDateString()}`);
+        if (!name) return;
+        try {
+            // Saving under the selected version's name overwrites it; a new name makes a new version
+            const id = selected && selected.name === name ? selected.id : undefined;
+            const saved = storage.saveVersion({ ...getCurrentVersion(name), id });
+            refreshVersionList(saved.id);
+            showEditFeedback(`Saved version "${saved.name}".`, 'edit-success');
+        } catch (error) {
+            console.error("App: saving version failed:", error);
+            showEditFeedback(`<strong>Could not save:</strong> ${error.message}`, 'edit-error');
+        }
+    }
+
+    function deleteSelectedVersion() {
+        const id = versionSelector.value;
+        if (!id) return;
+        const version = storage.loadVersion(id);
+        if (!window.confirm(`Delete version "${version.name}"? This cannot be undone.`)) return;
+        storage.deleteVersion(id);
+        refreshVersionList();
+        showEditFeedback(`Deleted version "${version.name}".`, 'edit-success');
+    }
+
+    function exportCurrentVersion() {
+        if (!editor) return;
+        const selected = versionSelector.value ? storage.loadVersion(versionSelector.value) : null;
+        const version = getCurrentVersion(selected ? selected.name : 'Unsaved draft');
+        downloadFile(`timetable-${toFileName(version.name)}.json`, TimetableStorage.exportVersion({ ...version, savedAt: new Date().toISOString() }), 'application/json');
+    }
+
+    function toFileName(name) {
+        return name.replace(/[^a-z0-9]+/gi, '-').toLowerCase();
+    }
+
+    function downloadFile(fileName, content, type) {
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(new Blob([content], { type }));
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    // Throws if the term dates are missing, so callers can report it
+    function getCalendarExporter() {
+        return new CalendarExporter(schoolData, {
+            startDate: termStartInput.value,
+            endDate: termEndInput.value,
+            name: schoolData.term?.name,
+            startWeek: schoolData.term?.startWeek
+        });
+    }
+
+    // Exports whichever class or teacher is on screen
+    function exportCurrentCalendar() {
+        try {
+            const exporter = getCalendarExporter();
+            if (viewModeSelector.value === 'teacher') {
+                const teacher = teacherSelector.value;
+                const schedule = byWeek(weekTimetables => collectSchedules(weekTimetables).teacherSchedules[teacher] || {});
+                downloadFile(`teacher-${toFileName(teacher)}.ics`, exporter.teacherCalendar(teacher, schedule), 'text/calendar');
+            } else {
+                const className = classSelector.value;
+                downloadFile(`class-${toFileName(className)}.ics`, exporter.classCalendar(className, byWeek(weekTimetables => weekTimetables[className] || {})), 'text/calendar');
+            }
+        } catch (error) {
+            showEditFeedback(`<strong>Could not export calendar:</strong> ${error.message}`, 'edit-error');
+        }
+    }
+
+    function exportAllCalendars() {
+        try {
+            const exporter = getCalendarExporter();
+            // Each week's teacher schedules, or the one week's
+            const weeklyTeacherSchedules = byWeek(weekTimetables => collectSchedules(weekTimetables).teacherSchedules);
+            const teachers = cycle
+                ? [...new Set(Object.values(weeklyTeacherSchedules).flatMap(schedules => Object.keys(schedules)))]
+                : Object.keys(weeklyTeacherSchedules);
+            const teacherSchedule = teacher => cycle
+                ? Object.fromEntries(cycle.weeks.map(week => [week, weeklyTeacherSchedules[week][teacher] || {}]))
+                : weeklyTeacherSchedules[teacher];
+            const files = [
+                ...Object.keys(timetables).sort().map(className => ({
+                    name: `classes/class-${toFileName(className)}.ics`,
+                    content: exporter.classCalendar(className, byWeek(weekTimetables => weekTimetables[className] || {}))
+                })),
+                ...teachers.sort().map(teacher => ({
+                    name: `teachers/teacher-${toFileName(teacher)}.ics`,
+                    content: exporter.teacherCalendar(teacher, teacherSchedule(teacher))
+                }))
+            ];
+            downloadFile('timetable-calendars.zip', CalendarExporter.createZip(files), 'application/zip');
+            showEditFeedback(`Exported ${files.length} calendars.`, 'edit-success');
+        } catch (error) {
+            showEditFeedback(`<strong>Could not export calendars:</strong> ${error.message}`, 'edit-error');
+        }
+    }
+
+    async function importVersionFile(file) {
+        try {
+            const version = TimetableStorage.importVersion(await file.text());
+            const saved = storage.saveVersion(version);
+            applyVersion(saved);
+            refreshVersionList(saved.id);
+            showEditFeedback(`Imported "${saved.name}" from ${file.name}.`, 'edit-success');
+        } catch (error) {
+            console.error("App: import failed:", error);
+            showEditFeedback(`<strong>Could not import ${file.name}:</strong> ${error.message}`, 'edit-error');
+        } finally {
+            importVersionInput.value = '';
+        }
     }
 
     function populateSelectors() {
+        // Keep the current selections when the lists are rebuilt for another version
+        const previousClass = classSelector.value;
+        const previousTeacher = teacherSelector.value;
+        const previousRoom = roomSelector.value;
+        classSelector.innerHTML = '';
+        teacherSelector.innerHTML = '';
+        roomSelector.innerHTML = '';
         const allClasses = Object.keys(schoolData.teachers).sort();
         allClasses.forEach(className => {
             const option = document.createElement('option');
@@ -253,8 +1384,12 @@ document.addEventListener('DOMContentLoaded', () => {
             classSelector.appendChild(option);
         });
 
-        // Teachers are now unique, possibly with part-time tag from constraints
-        const teacherSet = new Set(Object.values(schoolData.teachers).flatMap(obj => Object.values(obj)));
+        // Teachers are now unique, possibly with part-time tag from constraints. A synchronized group's
+        // extra teachers may have no class of their own, so they are listed from the groups as well.
+        const teacherSet = new Set([
+            ...Object.values(schoolData.teachers).flatMap(obj => Object.values(obj)),
+            ...(constraints.synchronizedGroups || []).flatMap(group => group.teachers || [])
+        ]);
         allTeachers = Array.from(teacherSet).sort();
         allTeachers.forEach(teacherName => {
             const option = document.createElement('option');
@@ -263,11 +1398,38 @@ document.addEventListener('DOMContentLoaded', () => {
                 ? `${teacherName} (Part-time)` : teacherName;
             teacherSelector.appendChild(option);
         });
+
+        const allRooms = new TimetableGenerator(schoolData, constraints).listRooms();
+        allRooms.forEach(roomName => {
+            const option = document.createElement('option');
+            option.value = roomName;
+            option.textContent = roomName;
+            roomSelector.appendChild(option);
+        });
+
+        if (allClasses.includes(previousClass)) classSelector.value = previousClass;
+        if (allTeachers.includes(previousTeacher)) teacherSelector.value = previousTeacher;
+        if (allRooms.includes(previousRoom)) roomSelector.value = previousRoom;
+
+        const previousCoverTeacher = coverTeacherSelector.value;
+        const previousCoverDay = coverDaySelector.value;
+        coverTeacherSelector.innerHTML = teacherSelector.innerHTML;
+        coverDaySelector.innerHTML = schoolData.days.map(day => `<option value="${day}">${day}</option>`).join('');
+        if (allTeachers.includes(previousCoverTeacher)) coverTeacherSelector.value = previousCoverTeacher;
+        if (schoolData.days.includes(previousCoverDay)) coverDaySelector.value = previousCoverDay;
     }
 
     function refreshCurrentView() {
         if (viewModeSelector.value === 'class') {
             renderClassTimetable(classSelector.value);
+        } else if (viewModeSelector.value === 'room') {
+            renderRoomTimetable(roomSelector.value);
+        } else if (viewModeSelector.value === 'workload') {
+            renderWorkloadDashboard();
+        } else if (viewModeSelector.value === 'cover') {
+            renderCoverSheet();
+        } else if (viewModeSelector.value === 'editor') {
+            renderDataEditor();
         } else {
             renderTeacherTimetable(teacherSelector.value);
         }
@@ -284,29 +1446,85 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log("School data loaded successfully.");
 
             populateSelectors();
+            renderConstraintsPanel();
+            // schoolData.term ({ name?, startDate, endDate, startWeek? }) pre-fills the calendar export dates
+            termStartInput.value = schoolData.term?.startDate || '';
+            termEndInput.value = schoolData.term?.endDate || '';
             
             viewModeSelector.addEventListener('change', (e) => {
-                const isClassView = e.target.value === 'class';
-                classContainer.style.display = isClassView ? 'flex' : 'none';
-                teacherContainer.style.display = isClassView ? 'none' : 'flex';
+                classContainer.style.display = e.target.value === 'class' ? 'flex' : 'none';
+                teacherContainer.style.display = e.target.value === 'teacher' ? 'flex' : 'none';
+                roomContainer.style.display = e.target.value === 'room' ? 'flex' : 'none';
+                coverContainer.style.display = e.target.value === 'cover' ? 'flex' : 'none';
+                editorContainer.style.display = e.target.value === 'editor' ? 'flex' : 'none';
                 refreshCurrentView();
             });
+            weekSelector.addEventListener('change', () => showWeek(weekSelector.value));
             classSelector.addEventListener('change', () => renderClassTimetable(classSelector.value));
+            pinClassToggle.addEventListener('change', () => togglePin(pins.classes, classSelector.value));
             teacherSelector.addEventListener('change', () => renderTeacherTimetable(teacherSelector.value));
+            roomSelector.addEventListener('change', () => renderRoomTimetable(roomSelector.value));
+            editorSectionSelector.addEventListener('change', renderDataEditor);
+            coverTeacherSelector.addEventListener('change', renderCoverSheet);
+            coverDaySelector.addEventListener('change', renderCoverSheet);
+            coverPeriodsInput.addEventListener('change', renderCoverSheet);
+            document.getElementById('export-csv-btn').addEventListener('click', exportDataCsv);
+            document.getElementById('import-csv-btn').addEventListener('click', () => importCsvInput.click());
+            importCsvInput.addEventListener('change', () => {
+                if (importCsvInput.files[0]) importDataCsv(importCsvInput.files[0]);
+            });
+            document.getElementById('export-ics-btn').addEventListener('click', exportCurrentCalendar);
+            document.getElementById('export-ics-zip-btn').addEventListener('click', exportAllCalendars);
+            document.getElementById('print-layout-btn').addEventListener('click', () => printLayout(document.getElementById('print-layout-selector').value));
+            window.addEventListener('afterprint', () => {
+                document.body.classList.remove('print-bulk');
+                document.getElementById('print-area').innerHTML = '';
+            });
+            document.getElementById('print-cover-btn').addEventListener('click', () => {
+                renderCoverSheet();
+                window.print();
+            });
             regenerateBtn.addEventListener('click', generateTimetable);
+            versionSelector.addEventListener('change', () => {
+                const version = versionSelector.value ? storage.loadVersion(versionSelector.value) : storage.loadAutosave();
+                if (version) applyVersion(version);
+            });
+            document.getElementById('save-version-btn').addEventListener('click', saveCurrentVersion);
+            document.getElementById('delete-version-btn').addEventListener('click', deleteSelectedVersion);
+            document.getElementById('export-version-btn').addEventListener('click', exportCurrentVersion);
+            document.getElementById('import-version-btn').addEventListener('click', () => importVersionInput.click());
+            importVersionInput.addEventListener('change', () => {
+                if (importVersionInput.files[0]) importVersionFile(importVersionInput.files[0]);
+            });
             
             generatorWorker.onmessage = (event) => {
-                const { type, timetables: result, unassigned: unassignedResult } = event.data;
-                if (type === 'result') {
-                    console.log("App: Received results from worker.");
-                    timetables = result;
-                    unassigned.length = 0;
-                    unassigned.push(...unassignedResult);
-                    processResults();
+                const { type, seed, score, attemptsRun } = event.data;
+                if (type === 'progress') {
+                    showProgress(event.data);
+                } else if (type === 'result') {
+                    console.log(`App: Received best of ${attemptsRun} attempts from worker (seed ${seed}, score ${score.total}).`);
+                    // Stay on the week being looked at if the new cycle still has it
+                    cycle = event.data.cycle || null;
+                    currentWeek = cycle ? (cycle.weeks.includes(currentWeek) ? currentWeek : cycle.weeks[0]) : null;
+                    updateWeekSelector();
+                    loadResult(cycle ? cycle.results[currentWeek] : event.data);
+                    renderValidationReport(event.data.validation);
+                    showEditFeedback('', '');
+                    currentSeed = seed;
+                    currentScore = score;
+                    autosaveCurrent();
+                    versionSelector.value = '';
                     updateStatusMessage();
                     refreshCurrentView();
                     regenerateBtn.disabled = false;
                     regenerateBtn.textContent = 'Regenerate Timetable';
+                } else if (type === 'invalid') {
+                    // Nothing was generated; the timetable on screen stays as it was
+                    statusMessageContainer.className = 'status-error';
+                    statusMessageContainer.innerHTML = `<strong>The data cannot be timetabled until these are fixed:</strong><ul>${event.data.validation.errors.map(e => `<li>${e.message}</li>`).join('')}</ul>`;
+                    renderValidationReport({ ...event.data.validation, errors: [] });
+                    regenerateBtn.disabled = false;
+                    regenerateBtn.textContent = 'Regenerate Timetable';
                 }
             };
 
@@ -318,7 +1536,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 regenerateBtn.textContent = 'Regenerate Timetable';
             };
 
-            generateTimetable();
+            refreshVersionList();
+            // After a refresh, pick up where we left off unless data.json has changed since
+            const autosaved = storage.loadAutosave();
+            if (autosaved && JSON.stringify(autosaved.data) === JSON.stringify(data)) {
+                console.log(`App: Restoring autosaved timetable from ${autosaved.savedAt}.`);
+                applyVersion(autosaved);
+                showEditFeedback(`Restored your last session from ${new Date(autosaved.savedAt).toLocaleString()}. Click "Regenerate Timetable" for a fresh one.`, 'edit-success');
+            } else {
+                generateTimetable();
+            }
             
         } catch (error) {
             console.error("Initialization failed:", error);
@@ -0,0 +1,255 @@
+// --- FILE: calendar-export.js ---
+
+// Turns class and teacher timetables into iCalendar (RFC 5545) files. Every lesson becomes one
+// weekly repeating event for the term; consecutive periods of the same lesson (doubles) are
+// merged into a single event. Times are "floating" local times, so phones show them exactly as
+// printed in periods[].time whatever time zone they are set to. In a multi-week cycle each week's
+// events repeat once per cycle, starting in the week of the term it falls in.
+
+const ICS_PRODUCT_ID = '-//SAIS Timetable//Timetable Generator//EN';
+// Zip entries need a valid MS-DOS date; 1980-01-01 is the earliest it can express
+const ZIP_DOS_DATE = (0 << 9) | (1 << 5) | 1;
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+class CalendarExporter {
+    // Cycle weeks and divisions are read through the generator, which Node has to require
+    static Generator = typeof TimetableGenerator === 'undefined' ? require('./timetable-generator.js') : TimetableGenerator;
+
+    // term: { startDate: "YYYY-MM-DD", endDate: "YYYY-MM-DD", name?, startWeek? }
+    // startWeek is the cycle week the term starts in (the first week when omitted)
+    constructor(schoolData, term) {
+        if (!term?.startDate || !term?.endDate) throw new Error("A term start and end date are needed for calendar export.");
+        if (term.endDate < term.startDate) throw new Error("The term ends before it starts.");
+        this.schoolData = schoolData;
+        this.term = term;
+        this.weeks = CalendarExporter.Generator.getCycleWeeks(schoolData);
+        if (this.weeks && term.startWeek && !this.weeks.includes(term.startWeek)) throw new Error(`The term starts in unknown week "${term.startWeek}".`);
+    }
+
+    // classTimetable: timetables[className] as produced by the generator; in a cycle, { week: timetables[className] }
+    classCalendar(className, classTimetable) {
+        const division = CalendarExporter.Generator.getClassDivision(this.schoolData, className);
+        const events = this._weeklyEvents(classTimetable, lesson => ({
+            summary: lesson.subject,
+            location: lesson.room,
+            description: `${className} with ${(lesson.teachers || [lesson.teacher]).join(', ')}`
+        }), event => event.appliesTo === 'all' || (Array.isArray(event.appliesTo) && event.appliesTo.includes(division)), `class-${className}`);
+        return this._calendar(`Class ${className}`, events);
+    }
+
+    // teacherSchedule: teacherSchedules[teacher] from app.js processResults ({ day: { periodId: { subject, className, room } } });
+    // in a cycle, { week: teacherSchedule }
+    teacherCalendar(teacher, teacherSchedule) {
+        // As in the teacher view, only whole-school events are known to apply to a teacher
+        const events = this._weeklyEvents(teacherSchedule, lesson => ({
+            summary: `${lesson.subject} - ${lesson.className}`,
+            location: lesson.room,
+            description: `${lesson.subject} with class ${lesson.className}`
+        }), event => event.appliesTo === 'all', `teacher-${teacher}`);
+        return this._calendar(teacher, events);
+    }
+
+    // Lessons and the special events that `applies` to, for the one week or every week of the cycle.
+    // Each event records how many weeks after the term's first week it first happens.
+    _weeklyEvents(schedule, describe, applies, uidPrefix) {
+        if (!this.weeks) return [...this._lessonEvents(schedule, describe, uidPrefix), ...this._specialEvents(this.schoolData, applies, uidPrefix)];
+        const startIndex = this.term.startWeek ? this.weeks.indexOf(this.term.startWeek) : 0;
+        return this.weeks.flatMap((week, index) => {
+            const weekOffset = (index - startIndex + this.weeks.length) % this.weeks.length;
+            const prefix = `${uidPrefix}-week-${week}`;
+            return [
+                ...this._lessonEvents(schedule[week] || {}, describe, prefix),
+                ...this._specialEvents(CalendarExporter.Generator.getWeekSchoolData(this.schoolData, week), applies, prefix)
+            ].map(event => ({ ...event, weekOffset }));
+        });
+    }
+
+    _lessonEvents(schedule, describe, uidPrefix) {
+        const events = [];
+        this.schoolData.days.forEach(day => {
+            const lessons = schedule[day] || {};
+            const periodIds = Object.keys(lessons).map(Number).sort((a, b) => a - b);
+            periodIds.forEach((periodId, i) => {
+                const lesson = lessons[periodId];
+                const previous = lessons[periodIds[i - 1]];
+                // The second half of a double is covered by the event of the first half
+                if (periodIds[i - 1] === periodId - 1 && this._sameLesson(previous, lesson)) return;
+                let lastId = periodId;
+                while (lessons[lastId + 1] && this._sameLesson(lessons[lastId + 1], lesson)) lastId++;
+                events.push({ ...describe(lesson), day, firstId: periodId, lastId, uid: `${uidPrefix}-${day}-${periodId}` });
+            });
+        });
+        return events;
+    }
+
+    _sameLesson(a, b) {
+        return a.subject === b.subject && a.className === b.className && String(a.teachers || a.teacher) === String(b.teachers || b.teacher) && a.room === b.room;
+    }
+
+    _specialEvents(schoolData, applies, uidPrefix) {
+        return schoolData.specialEvents.filter(applies).map(event => {
+            const ids = event.periodIds || [event.periodId];
+            return {
+                summary: event.name,
+                day: event.day,
+                firstId: Math.min(...ids),
+                lastId: Math.max(...ids),
+                uid: `${uidPrefix}-event-${event.day}-${ids.join('-')}`
+            };
+        });
+    }
+
+    _calendar(name, events) {
+        const stamp = this._formatUtc(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            `PRODID:${ICS_PRODUCT_ID}`,
+            'CALSCALE:GREGORIAN',
+            `X-WR-CALNAME:${this._escape(this.term.name ? `${name} (${this.term.name})` : name)}`
+        ];
+        events.forEach(event => {
+            const firstDate = this._firstDate(event.day, event.weekOffset);
+            // A day that never falls inside the term has nothing to export
+            if (!firstDate) return;
+            const [start] = this._periodTimes(event.firstId);
+            const [, end] = this._periodTimes(event.lastId);
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${this._escape(`${event.uid.replace(/\s+/g, '_')}@saistimetable`)}`,
+                `DTSTAMP:${stamp}`,
+                `DTSTART:${firstDate}T${start}`,
+                `DTEND:${firstDate}T${end}`,
+                `RRULE:FREQ=WEEKLY${this.weeks ? `;INTERVAL=${this.weeks.length}` : ''};UNTIL=${this.term.endDate.replace(/-/g, '')}T235959`,
+                `SUMMARY:${this._escape(event.summary)}`
+            );
+            if (event.location) lines.push(`LOCATION:${this._escape(event.location)}`);
+            if (event.description) lines.push(`DESCRIPTION:${this._escape(event.description)}`);
+            lines.push('END:VEVENT');
+        });
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this._fold(line)).join('\r\n') + '\r\n';
+    }
+
+    // "8:00-8:35" -> ["080000", "083500"]
+    _periodTimes(periodId) {
+        const period = this.schoolData.periods.find(p => p.id === periodId);
+        if (!period) throw new Error(`Unknown period ${periodId}.`);
+        return period.time.split('-').map(time => {
+            const [hours, minutes] = time.trim().split(':').map(Number);
+            return `${String(hours).padStart(2, '0')}${String(minutes).padStart(2, '0')}00`;
+        });
+    }
+
+    // First date on or after the term start that falls on `day` of the week `weekOffset` weeks after
+    // the term's first week (weeks run Monday to Sunday), as YYYYMMDD
+    _firstDate(day, weekOffset = 0) {
+        const date = new Date(`${this.term.startDate}T00:00:00Z`);
+        let offset = (WEEKDAYS.indexOf(day) + 6) % 7 - (date.getUTCDay() + 6) % 7 + weekOffset * 7;
+        // A day already gone in the first week comes round again a whole cycle later
+        if (offset < 0) offset += (this.weeks ? this.weeks.length : 1) * 7;
+        date.setUTCDate(date.getUTCDate() + offset);
+        const iso = date.toISOString().slice(0, 10);
+        return iso <= this.term.endDate ? iso.replace(/-/g, '') : null;
+    }
+
+    _formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    _escape(text) {
+        return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+    }
+
+    // Lines longer than 75 octets continue on the next line after a single space (RFC 5545 3.1)
+    _fold(line) {
+        const bytes = new TextEncoder().encode(line);
+        if (bytes.length <= 75) return line;
+        const parts = [];
+        let current = '';
+        let currentBytes = 0;
+        for (const char of line) {
+            const size = new TextEncoder().encode(char).length;
+            const limit = parts.length === 0 ? 75 : 74;
+            if (currentBytes + size > limit) {
+                parts.push(current);
+                current = '';
+                currentBytes = 0;
+            }
+            current += char;
+            currentBytes += size;
+        }
+        parts.push(current);
+        return parts.join('\r\n ');
+    }
+
+    // A minimal uncompressed ("stored") zip of [{ name, content }] text files, as a Uint8Array
+    static createZip(files) {
+        const encoder = new TextEncoder();
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(({ name, content }) => {
+            const nameBytes = encoder.encode(name);
+            const data = encoder.encode(content);
+            const crc = CalendarExporter._crc32(data);
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true); // local file header signature
+            local.setUint16(4, 20, true);         // version needed to extract
+            local.setUint16(6, 0x0800, true);     // UTF-8 file names
+            local.setUint16(8, 0, true);          // stored, no compression
+            local.setUint16(12, ZIP_DOS_DATE, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, nameBytes.length, true);
+            chunks.push(new Uint8Array(local.buffer), nameBytes, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true); // central directory header signature
+            central.setUint16(4, 20, true);
+            central.setUint16(6, 20, true);
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(14, ZIP_DOS_DATE, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, nameBytes.length, true);
+            central.setUint32(42, offset, true);
+            centralDirectory.push(new Uint8Array(central.buffer), nameBytes);
+
+            offset += 30 + nameBytes.length + data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((acc, chunk) => acc + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true); // end of central directory signature
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);
+
+        const all = [...chunks, ...centralDirectory, new Uint8Array(end.buffer)];
+        const zip = new Uint8Array(all.reduce((acc, chunk) => acc + chunk.length, 0));
+        let position = 0;
+        all.forEach(chunk => {
+            zip.set(chunk, position);
+            position += chunk.length;
+        });
+        return zip;
+    }
+
+    static _crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (const byte of bytes) {
+            crc ^= byte;
+            for (let bit = 0; bit < 8; bit++) crc = (crc >>> 1) ^ (0xEDB88320 & -(crc & 1));
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalendarExporter;
+}
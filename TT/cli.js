@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+// --- FILE: cli.js ---
+
+// Runs the generator from a terminal or a nightly job:
+//   node cli.js data.json [--seed N] [--attempts N] [--time-budget MS] [--out timetables.json] [--csv timetables.csv] [--verbose]
+// Prints validation problems (generating anyway, as the app does, unless the data's structure is
+// broken), the unassigned lessons and teacher workload, and re-checks the result with
+// TimetableChecker. Exits 0 when every lesson was placed without breaking a rule, 1 when not, and 2
+// when the arguments or the data file are unusable.
+// A multi-week cycle (schoolData.weeks) is generated and reported week by week.
+
+const fs = require('fs');
+const TimetableGenerator = require('./timetable-generator.js');
+const TimetableValidator = require('./timetable-validator.js');
+const TimetableChecker = require('./timetable-checker.js');
+const DataCsv = require('./data-csv.js');
+
+const USAGE = 'Usage: node cli.js data.json [--seed N] [--attempts N] [--time-budget MS] [--out file.json] [--csv file.csv] [--verbose]';
+const NUMBER_OPTIONS = { '--seed': 'seed', '--attempts': 'attempts', '--time-budget': 'timeBudgetMs' };
+const PATH_OPTIONS = { '--out': 'out', '--csv': 'csv' };
+const QUIET_LOGGER = { log: () => {}, warn: (...args) => console.warn(...args) };
+
+function parseArgs(argv) {
+    const options = { attempts: 20, timeBudgetMs: 60000, verbose: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--verbose') {
+            options.verbose = true;
+        } else if (arg === '--help' || arg === '-h') {
+            options.help = true;
+        } else if (NUMBER_OPTIONS[arg]) {
+            const value = Number(argv[++i]);
+            if (!Number.isInteger(value) || value < 0) throw new Error(`${arg} needs a whole number.`);
+            options[NUMBER_OPTIONS[arg]] = value;
+        } else if (PATH_OPTIONS[arg]) {
+            if (!argv[i + 1]) throw new Error(`${arg} needs a file name.`);
+            options[PATH_OPTIONS[arg]] = argv[++i];
+        } else if (arg.startsWith('-')) {
+            throw new Error(`Unknown option ${arg}.`);
+        } else if (options.dataFile) {
+            throw new Error(`Only one data file can be given (got ${options.dataFile} and ${arg}).`);
+        } else {
+            options.dataFile = arg;
+        }
+    }
+    if (!options.help && !options.dataFile) throw new Error('No data file given.');
+    if (options.attempts < 1) throw new Error('--attempts must be at least 1.');
+    if (options.timeBudgetMs < 1) throw new Error('--time-budget must be at least 1.');
+    return options;
+}
+
+function loadData(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!data.schoolData || !data.constraints) throw new Error(`${file} needs "schoolData" and "constraints" sections.`);
+    return data;
+}
+
+function printIssues(title, issues) {
+    if (issues.length === 0) return;
+    console.log(`\n${title}:`);
+    issues.forEach(issue => console.log(`  [${issue.code}] ${issue.message}`));
+}
+
+function printUnassigned(unassigned) {
+    if (unassigned.length === 0) {
+        console.log('\nAll lessons were assigned.');
+        return;
+    }
+    const periods = unassigned.reduce((acc, u) => acc + (u.periodsRemaining || 0), 0);
+    console.log(`\nUnassigned lessons (${unassigned.length} lessons, ${periods} periods):`);
+    unassigned.forEach(u => {
+        console.log(`  ${u.className} ${u.subject}: ${u.periodsRemaining} period(s) - ${u.reason}`);
+        const top = Object.entries(u.blockedBy || {}).sort((a, b) => b[1] - a[1]).slice(0, 3);
+        if (top.length > 0) {
+            console.log(`      blocked by ${top.map(([reason, slots]) => `${reason} (${slots} slot${slots > 1 ? 's' : ''})`).join(', ')}`);
+        }
+    });
+}
+
+function printTeacherStats(days, teacherStats) {
+    console.log('\nTeacher workload:');
+    const dayHeader = days.map(day => day.slice(0, 3).padStart(4)).join('');
+    console.log(`  ${'Teacher'.padEnd(25)} ${'Week'.padStart(7)}${dayHeader}  Gaps  Run`);
+    Object.entries(teacherStats)
+        .sort((a, b) => b[1].total - a[1].total || a[0].localeCompare(b[0]))
+        .forEach(([teacher, stats]) => {
+            const week = `${stats.total}/${stats.required}`;
+            const daily = days.map(day => String(stats.daily[day]).padStart(4)).join('');
+            const gaps = Object.values(stats.gaps).reduce((acc, n) => acc + n, 0);
+            const flags = [];
+            if (stats.total > stats.limits.perWeek) flags.push('over weekly limit');
+            if (days.some(day => stats.daily[day] > stats.limits.perDay)) flags.push('over daily limit');
+            if (stats.longestRun > stats.limits.consecutive) flags.push('too many in a row');
+            console.log(`  ${teacher.padEnd(25)} ${week.padStart(7)}${daily}  ${String(gaps).padStart(4)}  ${String(stats.longestRun).padStart(3)}${flags.length ? `  (${flags.join(', ')})` : ''}`);
+        });
+}
+
+// Everything the generator could not do exactly, then the teacher workload, for one week's result
+function printResult(days, best) {
+    printIssues('Rejected pre-assignments', (best.rejectedPreAssignments || []).map(r => ({
+        code: 'pre-assignment',
+        message: `${r.className} ${r.subject} on ${r.day} period ${r.periodId}: ${r.reason}`
+    })));
+    printUnassigned(best.unassigned);
+    printIssues('Double-period rules not met exactly', best.structureViolations.map(v => ({
+        code: 'structure',
+        message: `${v.className} ${v.subject}: ${v.reason}`
+    })));
+    printTeacherStats(days, best.teacherStats);
+}
+
+function main(argv) {
+    let options;
+    let data;
+    try {
+        options = parseArgs(argv);
+        if (options.help) {
+            console.log(USAGE);
+            return 0;
+        }
+        data = loadData(options.dataFile);
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error(USAGE);
+        return 2;
+    }
+    const { schoolData, constraints } = data;
+
+    const validation = new TimetableValidator(schoolData, constraints).validate();
+    printIssues('Validation errors', validation.errors);
+    printIssues('Validation warnings', validation.warnings);
+    if (!validation.canGenerate) {
+        console.error('\nError: the data is missing parts the generator needs; fix the validation errors above.');
+        return 2;
+    }
+
+    const weeks = TimetableGenerator.getCycleWeeks(schoolData);
+    const generateOptions = {
+        seed: options.seed,
+        attempts: options.attempts,
+        timeBudgetMs: options.timeBudgetMs,
+        // The generator narrates every step; keep the terminal to the summary (and its warnings) unless asked
+        logger: options.verbose ? console : QUIET_LOGGER,
+        onProgress: (attempt, bestScore, week) => {
+            if (options.verbose) console.log(`CLI: ${week ? `week ${week} ` : ''}attempt ${attempt}/${options.attempts}, best score ${bestScore.total}`);
+        }
+    };
+    const generated = weeks
+        ? TimetableGenerator.generateCycle(schoolData, constraints, generateOptions)
+        : TimetableGenerator.generateBest(schoolData, constraints, generateOptions);
+
+    console.log(`\nGenerated with seed ${generated.seed}: ${generated.attemptsRun} attempt(s), best score ${generated.score.total} (soft penalty ${generated.score.softPenalty}).`);
+    const checker = new TimetableChecker(schoolData, constraints);
+    let check;
+    let unassignedCount;
+    if (weeks) {
+        weeks.forEach(week => {
+            console.log(`\n=== Week ${week} (score ${generated.results[week].score.total}) ===`);
+            printResult(schoolData.days, generated.results[week]);
+        });
+        check = checker.checkCycle(generated.results);
+        unassignedCount = weeks.reduce((acc, week) => acc + generated.results[week].unassigned.length, 0);
+    } else {
+        printResult(schoolData.days, generated);
+        check = checker.check(generated.timetables, generated.unassigned, generated.structureViolations);
+        unassignedCount = generated.unassigned.length;
+    }
+    printIssues('Rule violations in the generated timetable', check.violations);
+
+    if (options.out) {
+        const resultOf = best => ({
+            seed: best.seed,
+            score: best.score,
+            softPenalty: best.softPenalty,
+            timetables: best.timetables,
+            unassigned: best.unassigned,
+            rejectedPreAssignments: best.rejectedPreAssignments,
+            structureViolations: best.structureViolations,
+            teacherStats: best.teacherStats
+        });
+        const result = weeks
+            ? { seed: generated.seed, score: generated.score, weeks, results: Object.fromEntries(weeks.map(week => [week, resultOf(generated.results[week])])) }
+            : resultOf(generated);
+        fs.writeFileSync(options.out, JSON.stringify(result, null, 2));
+        console.log(`\nWrote ${options.out}`);
+    }
+    if (options.csv) {
+        // A cycle's timetables are keyed by week, as exportTimetables expects
+        const timetables = weeks
+            ? Object.fromEntries(weeks.map(week => [week, generated.results[week].timetables]))
+            : generated.timetables;
+        fs.writeFileSync(options.csv, DataCsv.exportTimetables(schoolData, timetables));
+        console.log(`Wrote ${options.csv}`);
+    }
+
+    return unassignedCount > 0 || !check.valid ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
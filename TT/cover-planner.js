@@ -0,0 +1,67 @@
+// --- FILE: cover-planner.js ---
+
+// Finds cover for an absent teacher. The plan is worked out on a private TimetableGenerator
+// loaded with a copy of the timetables, so the base timetable is never changed.
+
+const COVER_SUGGESTION_LIMIT = 5;
+
+class CoverPlanner {
+    // The page loads the generator first; under Node (cli.js, the tests) it is required here
+    static Generator = typeof TimetableGenerator === 'undefined' ? require('./timetable-generator.js') : TimetableGenerator;
+
+    constructor(schoolData, constraints, timetables) {
+        this.schoolData = schoolData;
+        this.constraints = constraints;
+        this.generator = new CoverPlanner.Generator(schoolData, constraints);
+        this.generator.loadTimetables(JSON.parse(JSON.stringify(timetables)));
+    }
+
+    // Lessons `teacher` would teach on `day` (only `periodIds`, if given), each with ranked cover suggestions
+    planCover(teacher, day, periodIds = null) {
+        const lessons = [];
+        Object.entries(this.generator.timetables).forEach(([className, classTimetable]) => {
+            Object.entries(classTimetable[day] || {}).forEach(([slot, lesson]) => {
+                const periodId = Number(slot);
+                if (!(lesson.teachers || [lesson.teacher]).includes(teacher) || (periodIds && !periodIds.includes(periodId))) return;
+                lessons.push({
+                    className,
+                    subject: lesson.subject,
+                    room: lesson.room,
+                    periodId,
+                    time: this.schoolData.periods.find(p => p.id === periodId)?.time,
+                    suggestions: this.suggestCover(teacher, className, lesson.subject, day, periodId)
+                });
+            });
+        });
+        lessons.sort((a, b) => a.periodId - b.periodId || a.className.localeCompare(b.className));
+        return { teacher, day, periodIds, lessons };
+    }
+
+    // Teachers who are free, available and under their daily limit at day/periodId. Those who teach
+    // the subject come first, then those who teach the class, then the least loaded that day.
+    suggestCover(absentTeacher, className, subject, day, periodId) {
+        const classTeachers = this.schoolData.teachers[className] || {};
+        return Object.keys(this.generator.teacherStats)
+            .filter(teacher => teacher !== absentTeacher)
+            .filter(teacher => !this.generator.globalSchedule[day][periodId].teachers.has(teacher))
+            .filter(teacher => !CoverPlanner.Generator.getTeacherUnavailability(this.constraints, teacher, day, periodId))
+            .filter(teacher => this.generator.teacherStats[teacher].dailyPeriods[day] < this.generator._getTeacherLimit(teacher, "maxTeacherPeriodsPerDay"))
+            .map(teacher => ({
+                teacher,
+                subjectMatch: Object.values(this.schoolData.teachers).some(t => t[subject] === teacher),
+                knowsClass: Object.values(classTeachers).includes(teacher),
+                load: this.generator.teacherStats[teacher].dailyPeriods[day]
+            }))
+            .sort((a, b) =>
+                (b.subjectMatch - a.subjectMatch) ||
+                (b.knowsClass - a.knowsClass) ||
+                (a.load - b.load) ||
+                a.teacher.localeCompare(b.teacher)
+            )
+            .slice(0, COVER_SUGGESTION_LIMIT);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CoverPlanner;
+}
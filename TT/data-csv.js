@@ -0,0 +1,353 @@
+// --- FILE: data-csv.js ---
+
+// Converts parts of data.json to and from CSV so they can be kept in a spreadsheet:
+//   teachers             class x subject matrix of teacher names      -> schoolData.teachers
+//   subjects             subject x division matrix of periods a week  -> schoolData.subjects
+//   teacherAvailability  one rule per row                              -> constraints.teacherAvailability
+//   specialEvents        one event per row                             -> schoolData.specialEvents
+//   periods              one period per row                            -> schoolData.periods
+//   divisionSchedules    one division per row                          -> schoolData.divisionSchedules
+//   classes              one class per row                             -> schoolData.classes
+//   doublePeriodSubjects one double-period rule per row                -> constraints.doublePeriodSubjects
+// Lists inside a cell (days, periods, divisions) are separated by ";".
+
+const CSV_KINDS = {
+    teachers: { label: 'Teacher assignments', path: ['schoolData', 'teachers'] },
+    subjects: { label: 'Subject periods', path: ['schoolData', 'subjects'] },
+    teacherAvailability: { label: 'Teacher availability', path: ['constraints', 'teacherAvailability'] },
+    specialEvents: { label: 'Special events', path: ['schoolData', 'specialEvents'], list: true },
+    periods: { label: 'Periods', path: ['schoolData', 'periods'], list: true },
+    divisionSchedules: { label: 'Division schedules', path: ['schoolData', 'divisionSchedules'] },
+    classes: { label: 'Classes', path: ['schoolData', 'classes'] },
+    doublePeriodSubjects: { label: 'Double-period rules', path: ['constraints', 'doublePeriodSubjects'], list: true }
+};
+
+const AVAILABILITY_HEADER = ['Teacher', 'Rule', 'Days', 'Periods', 'Weight'];
+// Weeks (of a multi-week cycle) came later, so files without that column still import
+const EVENTS_HEADER = ['Name', 'Day', 'Periods', 'Applies To', 'Color', 'Weeks'];
+const PERIODS_HEADER = ['Id', 'Time', 'Type'];
+const DIVISION_SCHEDULES_HEADER = ['Division', 'Lesson Slots', 'Break', 'Lunch'];
+// The last three columns override the division's day layout for one class; leave them empty to keep it
+const CLASSES_HEADER = ['Class', 'Division', 'Homeroom', 'Lesson Slots', 'Break', 'Lunch'];
+// Strict is "yes" (all doubles), "no" or "mixed" (the given doubles, the rest singles)
+const DOUBLES_HEADER = ['Subject', 'Divisions', 'Strict', 'Doubles', 'Singles'];
+
+class DataCsv {
+    // RFC 4180 style: quoted fields may contain commas, quotes ("") and line breaks
+    static parse(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        // Spreadsheets often leave blank lines at the end
+        return rows.map(r => r.map(cell => cell.trim())).filter(r => r.some(cell => cell !== ''));
+    }
+
+    static stringify(rows) {
+        return rows.map(row => row.map(cell => {
+            const text = cell === undefined || cell === null ? '' : String(cell);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n') + '\r\n';
+    }
+
+    static getValue(data, kind) {
+        const [section, key] = DataCsv._kind(kind).path;
+        return data[section]?.[key];
+    }
+
+    // A copy of `data` ({ schoolData, constraints }) with one part replaced
+    static withValue(data, kind, value) {
+        const [section, key] = DataCsv._kind(kind).path;
+        const copy = JSON.parse(JSON.stringify(data));
+        copy[section][key] = value;
+        return copy;
+    }
+
+    static exportCsv(kind, data) {
+        const value = DataCsv.getValue(data, kind) || (DataCsv._kind(kind).list ? [] : {});
+        switch (kind) {
+            case 'teachers': {
+                const subjects = [...new Set(Object.values(value).flatMap(Object.keys))];
+                return DataCsv.stringify([
+                    ['Class', ...subjects],
+                    ...Object.entries(value).map(([className, teachers]) => [className, ...subjects.map(s => teachers[s] || '')])
+                ]);
+            }
+            case 'subjects': {
+                const divisions = Object.keys(value);
+                const subjects = [...new Set(Object.values(value).flatMap(Object.keys))];
+                return DataCsv.stringify([
+                    ['Subject', ...divisions],
+                    ...subjects.map(subject => [subject, ...divisions.map(d => value[d][subject] ?? '')])
+                ]);
+            }
+            case 'teacherAvailability': {
+                const rows = [AVAILABILITY_HEADER];
+                Object.entries(value).forEach(([teacher, rule]) => {
+                    if (rule.availableDays) rows.push([teacher, 'availableDays', rule.availableDays.join(';'), '', '']);
+                    if (rule.unavailableDays) rows.push([teacher, 'unavailableDays', rule.unavailableDays.join(';'), '', '']);
+                    (rule.unavailableSlots || []).forEach(s => rows.push([teacher, 'unavailableSlots', (s.days || []).join(';'), s.periods.join(';'), '']));
+                    (rule.windows || []).forEach(w => rows.push([teacher, 'windows', (w.days || []).join(';'), `${w.from}-${w.to}`, '']));
+                    (rule.preferNotSlots || []).forEach(s => rows.push([teacher, 'preferNotSlots', (s.days || []).join(';'), s.periods.join(';'), s.weight ?? '']));
+                });
+                return DataCsv.stringify(rows);
+            }
+            case 'specialEvents':
+                return DataCsv.stringify([
+                    EVENTS_HEADER,
+                    ...value.map(event => [
+                        event.name,
+                        event.day,
+                        (event.periodIds || [event.periodId]).join(';'),
+                        Array.isArray(event.appliesTo) ? event.appliesTo.join(';') : event.appliesTo,
+                        event.color || '',
+                        (event.weeks || []).join(';')
+                    ])
+                ]);
+            case 'periods':
+                return DataCsv.stringify([PERIODS_HEADER, ...value.map(p => [p.id, p.time, p.type])]);
+            case 'divisionSchedules':
+                return DataCsv.stringify([
+                    DIVISION_SCHEDULES_HEADER,
+                    ...Object.entries(value).map(([division, s]) => [division, (s.lessonSlots || []).join(';'), s.breakPeriod ?? '', s.lunchPeriod ?? ''])
+                ]);
+            case 'classes':
+                return DataCsv.stringify([
+                    CLASSES_HEADER,
+                    ...Object.entries(value).map(([className, c]) => [
+                        className,
+                        c.division || '',
+                        c.homeroom || '',
+                        (c.schedule?.lessonSlots || []).join(';'),
+                        c.schedule?.breakPeriod ?? '',
+                        c.schedule?.lunchPeriod ?? ''
+                    ])
+                ]);
+            case 'doublePeriodSubjects':
+                return DataCsv.stringify([
+                    DOUBLES_HEADER,
+                    ...value.map(rule => [
+                        rule.subject,
+                        rule.divisions.join(';'),
+                        rule.strict === 'mixed' ? 'mixed' : rule.strict ? 'yes' : 'no',
+                        rule.structure?.doubles ?? '',
+                        rule.structure?.singles ?? ''
+                    ])
+                ]);
+        }
+        return '';
+    }
+
+    // Returns the value for `kind` in data.json form. Throws an Error naming the first bad row.
+    static importCsv(kind, text) {
+        DataCsv._kind(kind);
+        const [header, ...rows] = DataCsv.parse(text);
+        if (!header) throw new Error("The CSV file is empty.");
+
+        switch (kind) {
+            case 'teachers': {
+                if (header[0].toLowerCase() !== 'class') throw new Error('The first column of a teachers CSV must be "Class".');
+                const teachers = {};
+                rows.forEach(([className, ...names]) => {
+                    teachers[className] = {};
+                    header.slice(1).forEach((subject, i) => {
+                        if (names[i]) teachers[className][subject] = names[i];
+                    });
+                });
+                return teachers;
+            }
+            case 'subjects': {
+                if (header[0].toLowerCase() !== 'subject') throw new Error('The first column of a subjects CSV must be "Subject".');
+                const subjects = {};
+                header.slice(1).forEach(division => subjects[division] = {});
+                rows.forEach(([subject, ...counts], rowIndex) => {
+                    header.slice(1).forEach((division, i) => {
+                        if (counts[i] === undefined || counts[i] === '') return;
+                        subjects[division][subject] = DataCsv._number(counts[i], `row ${rowIndex + 2}, ${division}`);
+                    });
+                });
+                return subjects;
+            }
+            case 'teacherAvailability': {
+                DataCsv._checkHeader(header, AVAILABILITY_HEADER);
+                const availability = {};
+                rows.forEach(([teacher, ruleType, days, periods, weight], rowIndex) => {
+                    const where = `row ${rowIndex + 2}`;
+                    const rule = availability[teacher] || (availability[teacher] = {});
+                    const dayList = DataCsv._list(days);
+                    const entry = dayList.length > 0 ? { days: dayList } : {};
+                    switch (ruleType) {
+                        case 'availableDays':
+                        case 'unavailableDays':
+                            rule[ruleType] = dayList;
+                            break;
+                        case 'unavailableSlots':
+                            (rule.unavailableSlots || (rule.unavailableSlots = [])).push({ ...entry, periods: DataCsv._list(periods).map(p => DataCsv._number(p, where)) });
+                            break;
+                        case 'windows': {
+                            const [from, to] = (periods || '').split('-').map(p => DataCsv._number(p, where));
+                            (rule.windows || (rule.windows = [])).push({ ...entry, from, to });
+                            break;
+                        }
+                        case 'preferNotSlots': {
+                            const slot = { ...entry, periods: DataCsv._list(periods).map(p => DataCsv._number(p, where)) };
+                            if (weight) slot.weight = DataCsv._number(weight, where);
+                            (rule.preferNotSlots || (rule.preferNotSlots = [])).push(slot);
+                            break;
+                        }
+                        default:
+                            throw new Error(`Unknown availability rule "${ruleType}" in ${where}.`);
+                    }
+                });
+                return availability;
+            }
+            case 'specialEvents':
+                DataCsv._checkHeader(header, EVENTS_HEADER.slice(0, 5));
+                return rows.map(([name, day, periods, appliesTo, color, weeks], rowIndex) => {
+                    const periodIds = DataCsv._list(periods).map(p => DataCsv._number(p, `row ${rowIndex + 2}`));
+                    const event = { name, day };
+                    if (periodIds.length === 1) event.periodId = periodIds[0];
+                    else event.periodIds = periodIds;
+                    event.appliesTo = !appliesTo || appliesTo === 'all' ? 'all' : DataCsv._list(appliesTo);
+                    if (color) event.color = color;
+                    if (weeks) event.weeks = DataCsv._list(weeks);
+                    return event;
+                });
+            case 'periods':
+                DataCsv._checkHeader(header, PERIODS_HEADER);
+                return rows.map(([id, time, type], rowIndex) => ({ id: DataCsv._number(id, `row ${rowIndex + 2}`), time, type }));
+            case 'divisionSchedules': {
+                DataCsv._checkHeader(header, DIVISION_SCHEDULES_HEADER);
+                const schedules = {};
+                rows.forEach(([division, slots, breakPeriod, lunchPeriod], rowIndex) => {
+                    const where = `row ${rowIndex + 2}`;
+                    schedules[division] = {
+                        lessonSlots: DataCsv._list(slots).map(p => DataCsv._number(p, where)),
+                        breakPeriod: DataCsv._number(breakPeriod, where),
+                        lunchPeriod: DataCsv._number(lunchPeriod, where)
+                    };
+                });
+                return schedules;
+            }
+            case 'classes': {
+                DataCsv._checkHeader(header, CLASSES_HEADER);
+                const classes = {};
+                rows.forEach(([className, division, homeroom, slots, breakPeriod, lunchPeriod], rowIndex) => {
+                    const where = `row ${rowIndex + 2}`;
+                    if (!className) throw new Error(`A class needs a name (${where}).`);
+                    if (!division) throw new Error(`Class "${className}" needs a division (${where}).`);
+                    const classInfo = { division };
+                    if (homeroom) classInfo.homeroom = homeroom;
+                    const schedule = {};
+                    if (DataCsv._list(slots).length > 0) schedule.lessonSlots = DataCsv._list(slots).map(p => DataCsv._number(p, where));
+                    if (breakPeriod) schedule.breakPeriod = DataCsv._number(breakPeriod, where);
+                    if (lunchPeriod) schedule.lunchPeriod = DataCsv._number(lunchPeriod, where);
+                    if (Object.keys(schedule).length > 0) classInfo.schedule = schedule;
+                    classes[className] = classInfo;
+                });
+                return classes;
+            }
+            case 'doublePeriodSubjects':
+                DataCsv._checkHeader(header, DOUBLES_HEADER);
+                return rows.map(([subject, divisions, strict, doubles, singles], rowIndex) => {
+                    const where = `row ${rowIndex + 2}`;
+                    const rule = { subject, divisions: DataCsv._list(divisions) };
+                    const mode = (strict || '').toLowerCase();
+                    if (mode === 'mixed') {
+                        rule.strict = 'mixed';
+                        rule.structure = { doubles: DataCsv._number(doubles, where), singles: DataCsv._number(singles, where) };
+                    } else if (mode === 'yes' || mode === 'no') {
+                        rule.strict = mode === 'yes';
+                    } else {
+                        throw new Error(`Strict must be yes, no or mixed, not "${strict}" (${where}).`);
+                    }
+                    return rule;
+                });
+        }
+    }
+
+    // Generated timetables as one lesson per row; output only, there is no matching import.
+    // A multi-week cycle's timetables are keyed by week first and get a leading Week column.
+    static exportTimetables(schoolData, timetables) {
+        const weeks = schoolData.weeks?.length ? schoolData.weeks.map(w => w.name) : null;
+        const rows = [[...(weeks ? ['Week'] : []), 'Class', 'Day', 'Period', 'Time', 'Subject', 'Teacher', 'Room']];
+        (weeks || [null]).forEach(week => {
+            const weekTimetables = week === null ? timetables : timetables[week] || {};
+            Object.keys(weekTimetables).sort().forEach(className => {
+                schoolData.days.forEach(day => {
+                    Object.entries(weekTimetables[className][day] || {})
+                        .sort((a, b) => Number(a[0]) - Number(b[0]))
+                        .forEach(([periodId, lesson]) => {
+                            const time = schoolData.periods.find(p => p.id === Number(periodId))?.time || '';
+                            rows.push([...(weeks ? [week] : []), className, day, periodId, time, lesson.subject, (lesson.teachers || [lesson.teacher || '']).join('; '), lesson.room || '']);
+                        });
+                });
+            });
+        });
+        return DataCsv.stringify(rows);
+    }
+
+    // Changes from `before` to `after` as [{ path, before, after }], for reviewing an import
+    static diff(before, after, path = '') {
+        if (JSON.stringify(before) === JSON.stringify(after)) return [];
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        if (!isObject(before) || !isObject(after)) return [{ path, before, after }];
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+        return keys.flatMap(key => DataCsv.diff(before[key], after[key], path ? `${path}.${key}` : key));
+    }
+
+    static _kind(kind) {
+        if (!CSV_KINDS[kind]) throw new Error(`Unknown CSV type "${kind}".`);
+        return CSV_KINDS[kind];
+    }
+
+    static _checkHeader(header, expected) {
+        if (expected.some((name, i) => (header[i] || '').toLowerCase() !== name.toLowerCase())) {
+            throw new Error(`Expected the columns ${expected.join(', ')}.`);
+        }
+    }
+
+    static _list(cell) {
+        return (cell || '').split(';').map(item => item.trim()).filter(item => item !== '');
+    }
+
+    static _number(cell, where) {
+        const number = Number(cell);
+        if (cell === '' || !Number.isFinite(number)) throw new Error(`"${cell}" is not a number (${where}).`);
+        return number;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataCsv;
+}
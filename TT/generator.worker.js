@@ -5,28 +5,83 @@
 // First, we need to import the generator class.
 // Since workers can't access the DOM, we can't use a <script> tag.
 // We use importScripts() to load the generator's code.
-importScripts('timetable-generator.js');
+importScripts('timetable-generator.js', 'timetable-validator.js');
+
+const DEFAULT_ATTEMPTS = 20;
+const DEFAULT_TIME_BUDGET_MS = 15000;
 
 // Listen for messages from the main app.js file.
 self.onmessage = (event) => {
     // The main thread will send the school data when it's time to generate.
-    const { schoolData, constraints } = event.data;
-    
-    console.log("Worker: Received data. Starting generation...");
-
-    // Instantiate the generator with the provided data.
-    const generator = new TimetableGenerator(schoolData, constraints);
-    
-    // Run the generation process. This might take a few seconds.
-    const timetables = generator.generate();
-    const unassigned = generator.unassignedLessons;
-    
-    console.log("Worker: Generation complete. Sending results back to main thread.");
+    // `seed` is optional; when omitted the generator picks one and reports it back.
+    // Attempt i runs with seed + i, so the winning attempt can be reproduced from its own seed.
+    const {
+        schoolData,
+        constraints,
+        seed,
+        preAssignments = [],
+        attempts = DEFAULT_ATTEMPTS,
+        timeBudgetMs = DEFAULT_TIME_BUDGET_MS
+    } = event.data;
+
+    // Validate first so problems in the data are reported even when generation "succeeds" partially.
+    // A broken skeleton (e.g. a class with no division) would only make the generator throw, so stop there.
+    const validation = new TimetableValidator(schoolData, constraints).validate();
+    if (!validation.canGenerate) {
+        console.warn(`Worker: data has ${validation.errors.length} validation errors it cannot be generated from.`);
+        self.postMessage({ type: 'invalid', validation });
+        return;
+    }
+    if (!validation.valid) {
+        console.warn(`Worker: data has ${validation.errors.length} validation errors; generating anyway.`);
+    }
+
+    console.log(`Worker: Received data. Starting up to ${attempts} generation attempts...`);
+
+    // A multi-week cycle comes back as one generateBest result per week, keyed by week name
+    if (TimetableGenerator.getCycleWeeks(schoolData)) {
+        const cycle = TimetableGenerator.generateCycle(schoolData, constraints, {
+            seed,
+            preAssignments,
+            attempts,
+            timeBudgetMs,
+            onProgress: (attempt, bestScore, week) => self.postMessage({ type: 'progress', attempt, attempts, bestScore, week })
+        });
+        console.log(`Worker: weeks ${cycle.weeks.join(', ')} complete. Best score ${cycle.score.total} (seed ${cycle.seed}). Sending results back to main thread.`);
+        self.postMessage({
+            type: 'result',
+            cycle: { weeks: cycle.weeks, results: cycle.results },
+            seed: cycle.seed,
+            score: cycle.score,
+            attemptsRun: cycle.attemptsRun,
+            validation
+        });
+        return;
+    }
+
+    const best = TimetableGenerator.generateBest(schoolData, constraints, {
+        seed,
+        preAssignments,
+        attempts,
+        timeBudgetMs,
+        onProgress: (attempt, bestScore) => self.postMessage({ type: 'progress', attempt, attempts, bestScore })
+    });
+    const { attemptsRun } = best;
+
+    console.log(`Worker: ${attemptsRun} attempts complete. Best score ${best.score.total} (seed ${best.seed}). Sending results back to main thread.`);
 
     // Send the results back to the main app.js file.
     self.postMessage({
         type: 'result',
-        timetables,
-        unassigned
+        timetables: best.timetables,
+        unassigned: best.unassigned,
+        rejectedPreAssignments: best.rejectedPreAssignments,
+        seed: best.seed,
+        score: best.score,
+        softPenalty: best.softPenalty,
+        teacherStats: best.teacherStats,
+        structureViolations: best.structureViolations,
+        attemptsRun,
+        validation
     });
 };
\ No newline at end of file
@@ -0,0 +1,258 @@
+// --- FILE: test/generator.test.js ---
+
+// Runs the generator on data.json and on synthetic schools with many seeds, and holds every
+// result to the checker. Run from the repository root with: node --test TT/test/*.test.js
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TimetableGenerator = require('../timetable-generator.js');
+const TimetableChecker = require('../timetable-checker.js');
+const { schoolData, constraints } = require('../data.json');
+const { createSchool, createCycleSchool } = require('./synthetic-school.js');
+
+const logger = { log: () => {}, warn: () => {} }; // The generator narrates every step
+
+const SEEDS = Array.from({ length: 12 }, (_, i) => i + 1);
+const SYNTHETIC_VARIANTS = [0, 1, 2, 3, 4, 5, 6, 7];
+
+function generate(data, seed) {
+    const generator = new TimetableGenerator(data.schoolData, data.constraints, { seed, logger });
+    const timetables = generator.generate();
+    const { violations } = new TimetableChecker(data.schoolData, data.constraints)
+        .check(timetables, generator.unassignedLessons, generator.getStructureViolations());
+    return { generator, timetables, violations };
+}
+
+function describe(violations) {
+    return violations.map(v => `${v.code}: ${v.message}`).join('\n');
+}
+
+test('data.json timetables keep every hard rule', () => {
+    SEEDS.forEach(seed => {
+        const { violations } = generate({ schoolData, constraints }, seed);
+        assert.deepStrictEqual(violations, [], `seed ${seed}:\n${describe(violations)}`);
+    });
+});
+
+test('synthetic schools are fully timetabled without breaking a rule', () => {
+    SYNTHETIC_VARIANTS.forEach(variant => {
+        const school = createSchool(variant);
+        SEEDS.slice(0, 5).forEach(seed => {
+            const { generator, violations } = generate(school, seed);
+            assert.deepStrictEqual(violations, [], `variant ${variant}, seed ${seed}:\n${describe(violations)}`);
+            assert.deepStrictEqual(generator.unassignedLessons, [], `variant ${variant}, seed ${seed} left lessons unassigned`);
+        });
+    });
+});
+
+test('double period rules are placed exactly or reported', () => {
+    SYNTHETIC_VARIANTS.forEach(variant => {
+        // The synthetic schools' rules all add up, so nothing should need reporting
+        const { generator } = generate(createSchool(variant), 1);
+        assert.deepStrictEqual(generator.getStructureViolations(), [], `variant ${variant}`);
+    });
+    // data.json has rules that cannot add up (French: 3 doubles + 2 singles from 4 periods), which are always reported
+    const { generator } = generate({ schoolData, constraints }, 1);
+    const french = generator.getStructureViolations().find(v => v.className === '1A' && v.subject === 'French');
+    assert.match(french.reason, /^structure of 3 doubles \+ 2 singles needs 8 periods, but 4 are allocated; placed \d doubles? \+ \d singles?$/);
+});
+
+test('the extra single of an odd all-doubles subject gets a day of its own', () => {
+    SYNTHETIC_VARIANTS.forEach(variant => {
+        const school = createSchool(variant);
+        // No daily cap to keep the single away from the double; only the structure rule does
+        delete school.constraints.workloadLimits.maxClassPeriodsPerDay;
+        Object.values(school.schoolData.subjects).forEach(subjects => subjects.Art = 3);
+        SEEDS.slice(0, 5).forEach(seed => {
+            const { violations } = generate(school, seed);
+            assert.deepStrictEqual(violations, [], `variant ${variant}, seed ${seed}:\n${describe(violations)}`);
+        });
+    });
+});
+
+test('each week of a cycle is timetabled with its own subjects and events', () => {
+    const subjectsIn = timetables => new Set(Object.values(timetables)
+        .flatMap(classTimetable => Object.values(classTimetable).flatMap(dayLessons => Object.values(dayLessons).map(lesson => lesson.subject))));
+    [0, 1, 2, 3].forEach(variant => {
+        const school = createCycleSchool(variant);
+        const cycle = TimetableGenerator.generateCycle(school.schoolData, school.constraints, { seed: 1, attempts: 1, logger });
+        assert.deepStrictEqual(cycle.weeks, ['A', 'B']);
+        const { violations } = new TimetableChecker(school.schoolData, school.constraints).checkCycle(cycle.results);
+        assert.deepStrictEqual(violations, [], `variant ${variant}:\n${describe(violations)}`);
+        cycle.weeks.forEach(week => assert.deepStrictEqual(cycle.results[week].unassigned, [], `variant ${variant}, week ${week}`));
+
+        const { A, B } = cycle.results;
+        assert.ok(subjectsIn(A.timetables).has('Robotics') && !subjectsIn(A.timetables).has('Library'), `variant ${variant}, week A`);
+        assert.ok(subjectsIn(B.timetables).has('Library') && !subjectsIn(B.timetables).has('Robotics'), `variant ${variant}, week B`);
+        // The assembly is only in week B
+        Object.entries(B.timetables).forEach(([className, classTimetable]) => assert.equal(classTimetable.Wednesday[1], undefined, className));
+    });
+});
+
+test('weeks of a cycle get their own seeds, and a pin without a week holds in every week', () => {
+    const school = createCycleSchool(0);
+    const first = TimetableGenerator.generateCycle(school.schoolData, school.constraints, { seed: 1, attempts: 1, logger });
+    assert.equal(first.seed, 1);
+    assert.notEqual(first.results.A.seed, first.results.B.seed);
+
+    const [className, classTimetable] = Object.entries(first.results.A.timetables)[0];
+    const [periodId, lesson] = Object.entries(classTimetable.Monday).find(([, l]) => l.subject !== 'Robotics');
+    const pin = { className, day: 'Monday', periodId: Number(periodId), subject: lesson.subject, teacher: lesson.teacher, room: lesson.room };
+    const cycle = TimetableGenerator.generateCycle(school.schoolData, school.constraints, { seed: 2, attempts: 1, preAssignments: [pin], logger });
+    cycle.weeks.forEach(week => {
+        assert.deepStrictEqual(cycle.results[week].rejectedPreAssignments, [], `week ${week}`);
+        assert.equal(cycle.results[week].timetables[className].Monday[periodId].subject, lesson.subject, `week ${week}`);
+    });
+});
+
+test('a synchronized group\'s extra teachers are on its lessons and count once per period', () => {
+    const school = createSchool(2);
+    const group = school.constraints.synchronizedGroups[0];
+    group.teachers = [...group.teachers, 'P.E. coach'];
+    const { generator, timetables, violations } = generate(school, 1);
+    assert.deepStrictEqual(violations, [], describe(violations));
+
+    const slots = group.classes.map(className => Object.entries(timetables[className]).flatMap(([day, dayLessons]) =>
+        Object.entries(dayLessons).filter(([, lesson]) => lesson.subject === 'P.E.').map(([periodId, lesson]) => {
+            assert.deepStrictEqual(lesson.teachers, ['P.E. junior 1', 'P.E. coach'], `${className} ${day} ${periodId}`);
+            return `${day}|${periodId}`;
+        })));
+    assert.deepStrictEqual(slots[1], slots[0]);
+    const coachDays = Object.values(generator.teacherStats['P.E. coach'].dailyPeriods);
+    assert.equal(coachDays.reduce((a, b) => a + b, 0), school.schoolData.subjects.junior['P.E.']);
+
+    // Reloading the result books the coach again
+    const reloaded = new TimetableGenerator(school.schoolData, school.constraints);
+    reloaded.loadTimetables(JSON.parse(JSON.stringify(timetables)));
+    const [day, periodId] = slots[0][0].split('|');
+    assert.ok(reloaded.globalSchedule[day][periodId].teachers.has('P.E. coach'));
+});
+
+test('a synchronized group whose structure adds up short still gets all its periods', () => {
+    const school = createSchool(2);
+    const group = school.constraints.synchronizedGroups[0];
+    group.structure = { doubles: 0, singles: 1 }; // P.E. needs 2
+    const { generator, timetables, violations } = generate(school, 1);
+    assert.deepStrictEqual(violations, [], describe(violations));
+    assert.deepStrictEqual(generator.unassignedLessons.filter(entry => entry.subject === 'P.E.'), []);
+    group.classes.forEach(className => {
+        const periods = Object.values(timetables[className]).flatMap(dayLessons => Object.values(dayLessons)).filter(lesson => lesson.subject === 'P.E.');
+        assert.equal(periods.length, 2, className);
+    });
+});
+
+test('a synchronized period counts once towards every teacher limit', () => {
+    const school = createSchool(2);
+    school.constraints.workloadLimits.teacherOverrides['P.E. junior 1'] = { maxTeacherPeriodsPerDay: 2 };
+    const [first, second, third] = Object.keys(school.schoolData.classes);
+    const generator = new TimetableGenerator(school.schoolData, school.constraints);
+    generator.loadTimetables({});
+    [first, second].forEach(className => generator.assignLesson(className, 'P.E.', 'P.E. junior 1', 'Monday', 2));
+
+    assert.equal(generator.teacherStats['P.E. junior 1'].dailyPeriods.Monday, 1);
+    assert.ok(generator.canAssignLesson(third, 'P.E.', 'P.E. junior 1', 'Monday', 3).valid);
+    generator.assignLesson(third, 'P.E.', 'P.E. junior 1', 'Monday', 3);
+    assert.equal(generator.canAssignLesson(third, 'Math', 'P.E. junior 1', 'Monday', 5).reason, 'Teacher workload exceeded');
+});
+
+test('free periods are counted among the teacher\'s lesson slots, not break and lunch', () => {
+    const school = createSchool(1);
+    school.constraints.workloadLimits.teacherOverrides['Math junior 1'] = { maxTeacherPeriodsPerDay: 8, maxTeacherConsecutivePeriods: 8 };
+    const [first, second] = Object.keys(school.schoolData.classes);
+    const generator = new TimetableGenerator(school.schoolData, school.constraints);
+    generator.loadTimetables({});
+    // Six of the seven lesson slots around break (4) and lunch (7)
+    [1, 2, 3, 5, 6].forEach(slot => generator.assignLesson(first, 'Math', 'Math junior 1', 'Monday', slot));
+    generator.assignLesson(second, 'Math', 'Math junior 1', 'Monday', 8);
+
+    assert.equal(generator.canAssignLesson(second, 'Math', 'Math junior 1', 'Monday', 9).reason, 'Teacher needs 1 free period per day');
+});
+
+test('unassigned lessons list every rule against each slot, synchronized groups included', () => {
+    const school = createSchool(2);
+    const group = school.constraints.synchronizedGroups[0];
+    group.teachers = [...group.teachers, 'P.E. coach'];
+    school.constraints.teacherAvailability['P.E. coach'] = { unavailableSlots: [{ periods: [1, 2, 3, 5, 6, 8, 9] }] };
+    const { generator } = generate(school, 1);
+
+    const entry = generator.unassignedLessons.find(u => u.className === group.classes.join(','));
+    assert.ok(entry.slotReasons.Monday[2].includes('Teacher unavailable on Monday period 2'));
+    assert.equal(entry.blockedBy['Teacher unavailable on Monday period 2'], 1);
+
+    // A slot refused by the class's own lesson and by a busy teacher reports both
+    const [className] = group.classes;
+    const { day, slot, lesson } = Object.entries(generator.timetables[className]).flatMap(([day, dayLessons]) =>
+        Object.entries(dayLessons).map(([slot, lesson]) => ({ day, slot: Number(slot), lesson }))).find(l => l.lesson.subject !== 'P.E.');
+    const { slotReasons } = generator._diagnoseLesson(className, lesson.subject, lesson.teacher);
+    assert.ok(slotReasons[day][slot].includes('Teacher booked') && slotReasons[day][slot].includes('Class booked'), slotReasons[day][slot].join(', '));
+});
+
+test('break and lunch do not count as teacher gaps', () => {
+    const school = createSchool(0);
+    const [className] = Object.keys(school.schoolData.classes);
+    const teacher = school.schoolData.teachers[className].Math;
+    const generator = new TimetableGenerator(school.schoolData, school.constraints);
+    generator.loadTimetables({});
+    // Either side of break (4), then either side of lunch (7) with period 6 free
+    [3, 5, 8].forEach(slot => generator.assignLesson(className, 'Math', teacher, 'Tuesday', slot));
+    assert.equal(generator.getTeacherWorkload()[teacher].gaps.Tuesday, 1);
+});
+
+test('pinned lessons of a synchronized group are placed together', () => {
+    const school = createSchool(2);
+    const group = school.constraints.synchronizedGroups[0];
+    group.teachers = [...group.teachers, 'P.E. coach'];
+    const preAssignments = group.classes.map(className => ({ className, day: 'Tuesday', periodId: 2, subject: 'P.E.', teacher: 'P.E. junior 1' }));
+    const generator = new TimetableGenerator(school.schoolData, school.constraints, { seed: 1, preAssignments, logger });
+    const timetables = generator.generate();
+    assert.deepStrictEqual(generator.rejectedPreAssignments, []);
+    group.classes.forEach(className => {
+        assert.deepStrictEqual(timetables[className].Tuesday[2].teachers, ['P.E. junior 1', 'P.E. coach'], className);
+        assert.ok(generator.isPinned(className, 'Tuesday', 2), className);
+    });
+});
+
+test('synchronized lessons and halves of doubles are not moved on their own', () => {
+    const school = createSchool(2);
+    const { generator, timetables } = generate(school, 1);
+    const find = (className, subject) => {
+        for (const [day, dayLessons] of Object.entries(timetables[className])) {
+            const slot = Object.keys(dayLessons).find(periodId => dayLessons[periodId].subject === subject);
+            if (slot) return { day, slot: Number(slot) };
+        }
+        return null;
+    };
+    const [first, second] = school.constraints.synchronizedGroups[0].classes;
+
+    const pe = find(first, 'P.E.');
+    assert.match(generator.moveLesson(first, pe.day, pe.slot, 'Friday', 9, true).reason, /synchronized group/);
+    const art = find(first, 'Art');
+    assert.match(generator.moveLesson(first, art.day, art.slot, 'Friday', 9, true).reason, /half of a double/);
+
+    // Taking one class out of a shared period leaves the teacher and the hall booked for the other
+    const { room } = timetables[first][pe.day][pe.slot];
+    generator.unassignLesson(first, pe.day, pe.slot);
+    const booking = generator.globalSchedule[pe.day][pe.slot];
+    assert.ok(booking.teachers.has('P.E. junior 1'));
+    assert.equal(booking.resources[room], second);
+});
+
+test('the same seed gives the same timetable', () => {
+    const first = generate({ schoolData, constraints }, 42).timetables;
+    const second = generate({ schoolData, constraints }, 42).timetables;
+    assert.deepStrictEqual(second, first);
+});
+
+test('generateBest keeps the lowest score of its attempts', () => {
+    const scores = [];
+    const best = TimetableGenerator.generateBest(schoolData, constraints, {
+        seed: 7,
+        attempts: 3,
+        logger,
+        onProgress: (attempt, bestScore) => scores.push(bestScore.total)
+    });
+    assert.equal(best.attemptsRun, 3);
+    assert.equal(best.score.total, Math.min(...scores));
+    const { violations } = new TimetableChecker(schoolData, constraints).check(best.timetables, best.unassigned, best.structureViolations);
+    assert.deepStrictEqual(violations, []);
+});
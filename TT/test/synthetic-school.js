@@ -0,0 +1,109 @@
+// --- FILE: test/synthetic-school.js ---
+
+// Small made-up schools for the tests. Each variant switches on a different mix of the rules
+// data.json uses (rooms, single resources, restricted subjects, availability, events, doubles,
+// synchronized groups, workload limits), sized so that a full timetable is possible.
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+// 7 lesson slots a day around a break (4) and lunch (7)
+const BREAKS = { 4: 'break', 7: 'lunch' };
+const PERIODS = [1, 2, 3, 4, 5, 6, 7, 8, 9].map(id => ({ id, time: `${7 + id}:00-${7 + id}:45`, type: BREAKS[id] || 'lesson' }));
+
+const ALLOCATIONS = {
+    junior: { Math: 6, English: 6, Science: 3, ICT: 2, Art: 2, 'P.E.': 2, Music: 1, Library: 1 },
+    senior: { Math: 5, English: 5, Physics: 3, Chemistry: 3, ICT: 2, Art: 2, 'P.E.': 2, History: 2 }
+};
+
+function createSchool(variant = 0) {
+    const classCount = 3 + (variant % 4);
+    const classNames = Array.from({ length: classCount }, (_, i) => `${i + 7}${variant % 2 ? 'B' : 'A'}`);
+    const classes = {};
+    const teachers = {};
+    classNames.forEach((className, i) => {
+        const division = i < Math.ceil(classCount / 2) ? 'junior' : 'senior';
+        classes[className] = { division };
+        // Each teacher takes a subject for a pair of classes, so clashes are possible but not forced
+        teachers[className] = {};
+        Object.keys(ALLOCATIONS[division]).forEach(subject => {
+            teachers[className][subject] = `${subject} ${division} ${Math.floor(i / 2) + 1}`;
+        });
+    });
+
+    const schoolData = {
+        periods: PERIODS,
+        days: DAYS,
+        divisionSchedules: {
+            junior: { lessonSlots: [1, 2, 3, 5, 6, 8, 9], breakPeriod: 4, lunchPeriod: 7 },
+            senior: { lessonSlots: [1, 2, 3, 5, 6, 8, 9], breakPeriod: 4, lunchPeriod: 7 }
+        },
+        classes,
+        specialEvents: variant % 3 === 0
+            ? [{ name: 'Assembly', day: 'Monday', periodId: 1, appliesTo: 'all' }]
+            : [{ name: 'Clubs', day: 'Friday', periodIds: [8, 9], appliesTo: ['junior'] }],
+        subjects: JSON.parse(JSON.stringify(ALLOCATIONS)),
+        teachers
+    };
+
+    const constraints = {
+        partTimeTeachers: [],
+        teacherAvailability: {},
+        subjectRestrictions: variant % 2 ? { Library: { days: ['Tuesday', 'Thursday'] } } : { Music: { days: ['Wednesday', 'Thursday', 'Friday'] } },
+        singleResourceSubjects: ['ICT'],
+        synchronizedGroups: [],
+        rooms: {
+            types: {
+                Homeroom: { perClass: true },
+                'ICT Lab': { rooms: ['ICT Lab'] },
+                'Science Lab': { rooms: ['Lab 1', 'Lab 2'] },
+                Hall: { rooms: ['Hall'] }
+            },
+            subjectRoomTypes: { ICT: 'ICT Lab', Science: 'Science Lab', Physics: 'Science Lab', Chemistry: 'Science Lab', 'P.E.': 'Hall' },
+            defaultRoomType: 'Homeroom'
+        },
+        teacherWorkloadExceptions: [],
+        doublePeriodSubjects: [
+            { subject: 'Art', divisions: ['junior', 'senior'], strict: true },
+            { subject: 'Math', divisions: ['junior'], strict: 'mixed', structure: { doubles: 2, singles: 2 } }
+        ],
+        workloadLimits: {
+            maxClassPeriodsPerDay: 2,
+            maxClassPeriodsPerDayOverrides: [],
+            maxTeacherPeriodsPerDay: 6,
+            maxTeacherPeriodsPerDayException: 8,
+            maxTeacherConsecutivePeriods: 4,
+            maxTeacherGapsPerDay: 4,
+            minTeacherFreePeriodsPerDay: 1,
+            teacherOverrides: {}
+        },
+        softConstraints: []
+    };
+
+    // P.E. for the first two junior classes is taught as one group in the hall
+    if (variant % 2 === 0 && classCount >= 4) {
+        constraints.synchronizedGroups.push({ name: 'Junior P.E.', classes: classNames.slice(0, 2), subject: 'P.E.', teachers: ['P.E. junior 1'] });
+    }
+    const partTimer = teachers[classNames[0]].English;
+    constraints.teacherAvailability[partTimer] = variant % 3 === 1
+        ? { unavailableSlots: [{ days: ['Monday'], periods: [1, 2, 3] }] }
+        : { unavailableDays: ['Friday'] };
+
+    return { schoolData, constraints };
+}
+
+// The same school on an A/B fortnight: junior classes have Robotics in week A and Library in
+// week B, and a week B assembly
+function createCycleSchool(variant = 0) {
+    const { schoolData, constraints } = createSchool(variant);
+    Object.entries(schoolData.classes).forEach(([className, { division }], i) => {
+        if (division === 'junior') schoolData.teachers[className].Robotics = `Robotics ${Math.floor(i / 2) + 1}`;
+    });
+    schoolData.weeks = [
+        { name: 'A', subjects: { junior: { Robotics: 1, Library: 0 } } },
+        { name: 'B' }
+    ];
+    schoolData.specialEvents.push({ name: 'Week B Assembly', day: 'Wednesday', periodId: 1, appliesTo: 'all', weeks: ['B'] });
+    return { schoolData, constraints };
+}
+
+module.exports = { createSchool, createCycleSchool };
@@ -0,0 +1,196 @@
+// --- FILE: test/timetable-checker.test.js ---
+
+// The checker must pass a good timetable and catch each kind of broken one. The broken ones are
+// made by editing a generated timetable by hand.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const TimetableGenerator = require('../timetable-generator.js');
+const TimetableChecker = require('../timetable-checker.js');
+const { createSchool, createCycleSchool } = require('./synthetic-school.js');
+
+const logger = { log: () => {}, warn: () => {} }; // The generator narrates every step
+
+// Variant 2 has a synchronized group, so the sharing rules are exercised too
+const { schoolData, constraints } = createSchool(2);
+const generator = new TimetableGenerator(schoolData, constraints, { seed: 1, logger });
+const generated = generator.generate();
+
+function fresh() {
+    return JSON.parse(JSON.stringify(generated));
+}
+
+function codes(timetables, unassigned = []) {
+    return new TimetableChecker(schoolData, constraints).check(timetables, unassigned).violations.map(v => v.code);
+}
+
+// The first lesson matching `predicate(lesson, className, day)`, as { className, day, periodId, lesson }
+function findLesson(timetables, predicate) {
+    for (const [className, classTimetable] of Object.entries(timetables)) {
+        for (const [day, lessons] of Object.entries(classTimetable)) {
+            for (const [slot, lesson] of Object.entries(lessons)) {
+                if (predicate(lesson, className, day)) return { className, day, periodId: Number(slot), lesson };
+            }
+        }
+    }
+    return null;
+}
+
+function moveLesson(timetables, { className, day, periodId }, toDay, toSlot) {
+    const lesson = timetables[className][day][periodId];
+    delete timetables[className][day][periodId];
+    timetables[className][toDay][toSlot] = lesson;
+}
+
+test('a generated timetable has no violations', () => {
+    assert.equal(generator.unassignedLessons.length, 0);
+    assert.deepStrictEqual(codes(fresh()), []);
+});
+
+test('a teacher in two classes at once is reported', () => {
+    const timetables = fresh();
+    const classNames = Object.keys(timetables);
+    const found = findLesson(timetables, (lesson, className) => className === classNames[0] && lesson.subject === 'English');
+    const other = classNames[1];
+    // Put the same teacher into another class at the same time, in place of whatever it had
+    timetables[other][found.day][found.periodId] = { ...found.lesson, room: `${other} Homeroom` };
+    assert.ok(codes(timetables).includes('teacher-double-booked'));
+});
+
+test('a single resource used by two classes at once is reported', () => {
+    const timetables = fresh();
+    const found = findLesson(timetables, lesson => lesson.subject === 'ICT');
+    const other = Object.keys(timetables).find(c => c !== found.className && !timetables[c][found.day][found.periodId]) || Object.keys(timetables).find(c => c !== found.className);
+    timetables[other][found.day][found.periodId] = { subject: 'ICT', teacher: schoolData.teachers[other].ICT, room: 'ICT Lab' };
+    const result = codes(timetables);
+    assert.ok(result.includes('single-resource-shared'));
+    assert.ok(result.includes('room-double-booked'));
+});
+
+test('lessons in break, lunch or a special event are reported', () => {
+    const timetables = fresh();
+    const className = Object.keys(timetables)[0];
+    const [first, second, third] = Object.entries(timetables[className].Tuesday).map(([slot]) => ({ className, day: 'Tuesday', periodId: Number(slot) }));
+    moveLesson(timetables, first, 'Wednesday', 4);
+    moveLesson(timetables, second, 'Wednesday', 7);
+    const event = schoolData.specialEvents[0];
+    moveLesson(timetables, third, event.day, (event.periodIds || [event.periodId])[0]);
+    const result = codes(timetables);
+    assert.equal(result.filter(code => code === 'break-slot-used').length, 2);
+    assert.ok(result.includes('special-event-clash'));
+});
+
+test('restricted subjects and unavailable teachers are reported', () => {
+    const timetables = fresh();
+    const [subject, rule] = Object.entries(constraints.subjectRestrictions)[0];
+    const restricted = findLesson(timetables, lesson => lesson.subject === subject);
+    const otherDay = schoolData.days.find(day => !rule.days.includes(day));
+    timetables[restricted.className][otherDay][99] = restricted.lesson;
+    delete timetables[restricted.className][restricted.day][restricted.periodId];
+
+    const [teacher] = Object.keys(constraints.teacherAvailability);
+    const taught = findLesson(timetables, lesson => lesson.teacher === teacher);
+    timetables[taught.className].Friday[99] = taught.lesson;
+
+    const result = codes(timetables);
+    assert.ok(result.includes('subject-restricted-day'));
+    assert.ok(result.includes('teacher-unavailable'));
+    assert.ok(result.includes('not-a-lesson-slot'));
+});
+
+test('missing periods are reported unless the generator reported them unassigned', () => {
+    const timetables = fresh();
+    const found = findLesson(timetables, lesson => lesson.subject === 'English');
+    delete timetables[found.className][found.day][found.periodId];
+    assert.ok(codes(timetables).includes('period-count-mismatch'));
+    assert.deepStrictEqual(codes(timetables, [{ className: found.className, subject: 'English', periodsRemaining: 1 }]), []);
+});
+
+test('a strict double split across the day is reported', () => {
+    const timetables = fresh();
+    const found = findLesson(timetables, lesson => lesson.subject === 'Art');
+    const lessons = timetables[found.className][found.day];
+    const [first] = Object.keys(lessons).map(Number).filter(slot => lessons[slot].subject === 'Art').sort((a, b) => a - b);
+    const free = schoolData.divisionSchedules.junior.lessonSlots.find(slot => !lessons[slot] && Math.abs(slot - first) > 2);
+    const second = Object.keys(lessons).map(Number).find(slot => slot !== first && lessons[slot].subject === 'Art');
+    moveLesson(timetables, { className: found.className, day: found.day, periodId: second }, found.day, free);
+    assert.ok(codes(timetables).includes('broken-double'));
+});
+
+test('classes of a synchronized group may share their teacher and room', () => {
+    const [group] = constraints.synchronizedGroups;
+    const timetables = fresh();
+    const shared = findLesson(timetables, (lesson, className) => className === group.classes[0] && lesson.subject === group.subject);
+    assert.deepStrictEqual(timetables[group.classes[1]][shared.day][shared.periodId], shared.lesson);
+    assert.deepStrictEqual(codes(timetables), []);
+});
+
+test('a synchronized group\'s extra teacher booked elsewhere at the same time is reported', () => {
+    const withCoach = JSON.parse(JSON.stringify(constraints));
+    const [group] = withCoach.synchronizedGroups;
+    group.teachers.push('P.E. coach');
+    const timetables = fresh();
+    const shared = findLesson(timetables, (lesson, className) => className === group.classes[0] && lesson.subject === group.subject);
+    group.classes.forEach(className => {
+        timetables[className][shared.day][shared.periodId].teachers = [shared.lesson.teacher, 'P.E. coach'];
+    });
+    const check = () => new TimetableChecker(schoolData, withCoach).check(timetables).violations;
+    assert.deepStrictEqual(check(), []);
+
+    // The coach also takes another class in that period
+    const other = Object.keys(timetables).find(c => !group.classes.includes(c));
+    if (!timetables[other][shared.day][shared.periodId]) {
+        const spare = findLesson(timetables, (lesson, className) => className === other);
+        moveLesson(timetables, spare, shared.day, shared.periodId);
+    }
+    const lesson = timetables[other][shared.day][shared.periodId];
+    lesson.teachers = [lesson.teacher, 'P.E. coach'];
+    const clash = check().find(v => v.code === 'teacher-double-booked');
+    assert.equal(clash?.teacher, 'P.E. coach');
+});
+
+test('a teacher busy in every one of their lesson slots is reported', () => {
+    const [first, second] = Object.keys(schoolData.classes);
+    const timetables = { [first]: { Monday: {} }, [second]: { Monday: {} } };
+    // Every lesson slot of the day; break (4) and lunch (7) are not free periods
+    [1, 2, 3, 5, 6].forEach(slot => timetables[first].Monday[slot] = { subject: 'Math', teacher: 'Math junior 1', room: `${first} Homeroom` });
+    [8, 9].forEach(slot => timetables[second].Monday[slot] = { subject: 'Math', teacher: 'Math junior 1', room: `${second} Homeroom` });
+    assert.ok(codes(timetables).includes('teacher-no-free-period'));
+});
+
+test('a double period rule broken without being reported is caught', () => {
+    const timetables = fresh();
+    const className = Object.keys(timetables)[0];
+    // Turn one Math double into two singles on different days
+    const day = schoolData.days.find(d => {
+        const slots = Object.keys(timetables[className][d]).filter(slot => timetables[className][d][slot].subject === 'Math');
+        return slots.length === 2;
+    });
+    const [, second] = Object.keys(timetables[className][day]).map(Number).filter(slot => timetables[className][day][slot].subject === 'Math').sort((a, b) => a - b);
+    const otherDay = schoolData.days.find(d => d !== day && !Object.values(timetables[className][d]).some(l => l.subject === 'Math'));
+    const free = schoolData.divisionSchedules.junior.lessonSlots.find(slot => !timetables[className][otherDay][slot]);
+    moveLesson(timetables, { className, day, periodId: second }, otherDay, free);
+
+    assert.ok(codes(timetables).includes('structure-mismatch'));
+    const reported = [{ className, subject: 'Math', reason: 'placed 1 double + 4 singles instead of 2 doubles + 2 singles' }];
+    assert.deepStrictEqual(new TimetableChecker(schoolData, constraints).check(timetables, [], reported).violations, []);
+});
+
+test('each week of a cycle is checked against its own events', () => {
+    const school = createCycleSchool(2);
+    const cycle = TimetableGenerator.generateCycle(school.schoolData, school.constraints, { seed: 1, attempts: 1, logger });
+    const checker = new TimetableChecker(school.schoolData, school.constraints);
+    assert.deepStrictEqual(checker.checkCycle(cycle.results).violations, []);
+
+    // Wednesday period 1 is free for lessons in week A but is the week B assembly
+    const className = Object.keys(cycle.results.A.timetables)[0];
+    ['A', 'B'].forEach(week => {
+        const { timetables } = cycle.results[week];
+        delete timetables[className].Wednesday[1];
+        const [slot] = Object.keys(timetables[className].Tuesday);
+        moveLesson(timetables, { className, day: 'Tuesday', periodId: Number(slot) }, 'Wednesday', 1);
+    });
+    const clashes = checker.checkCycle(cycle.results).violations.filter(v => v.code === 'special-event-clash');
+    assert.deepStrictEqual(clashes.map(v => v.week), ['B']);
+    assert.match(clashes[0].message, /^Week B: /);
+});
@@ -0,0 +1,426 @@
+// --- FILE: timetable-checker.js ---
+
+// Checks a generated result against the hard rules, without going through the generator's own
+// bookkeeping: the timetables are read as plain data and every rule is worked out again here, so
+// a bug in canAssignLesson or the repair phase shows up as a violation instead of agreeing with
+// itself. Nothing is shared with the generator: divisions, day layouts, teacher availability and
+// cycle weeks are read from schoolData/constraints here as well.
+// The teacher gap limit is not checked: the generator only refuses to make gaps worse, so a
+// finished day may legitimately have more.
+
+class TimetableChecker {
+    constructor(schoolData, constraints) {
+        this.schoolData = schoolData;
+        this.constraints = constraints;
+        this.violations = [];
+    }
+
+    // timetables: { className: { day: { periodId: { subject, teacher, teachers?, room? } } } }
+    // unassigned: the generator's unassignedLessons; their periods are allowed to be missing
+    // structureViolations: getStructureViolations(); those class/subjects may differ from their double rule
+    check(timetables, unassigned = [], structureViolations = []) {
+        this.violations = [];
+        const lessons = this._collectLessons(timetables);
+
+        this._checkSlots(lessons);
+        this._checkTeachers(lessons);
+        this._checkClashes(lessons);
+        this._checkRooms(lessons);
+        this._checkTeacherWorkload(lessons);
+        this._checkSubjectDailyCaps(lessons);
+        this._checkPeriodCounts(lessons, unassigned);
+        this._checkDoubleStructure(lessons, structureViolations);
+
+        return { valid: this.violations.length === 0, violations: this.violations };
+    }
+
+    // A multi-week cycle, each week against its own subjects and events:
+    // results: { week: { timetables, unassigned?, structureViolations? } } as from generateCycle.
+    // Violations carry the `week` they were found in.
+    checkCycle(results) {
+        const violations = (this.schoolData.weeks || []).map(w => w.name).flatMap(week => {
+            const { timetables = {}, unassigned, structureViolations } = results[week] || {};
+            return new TimetableChecker(this._getWeekSchoolData(week), this.constraints)
+                .check(timetables, unassigned, structureViolations).violations
+                .map(v => ({ ...v, week, message: `Week ${week}: ${v.message}` }));
+        });
+        this.violations = violations;
+        return { valid: violations.length === 0, violations };
+    }
+
+    // One week of the cycle as a single-week schoolData: the week's subjects laid over the base
+    // allocation, and only the special events that fall in it
+    _getWeekSchoolData(week) {
+        const { weeks, ...weekData } = this.schoolData;
+        const overrides = weeks.find(w => w.name === week)?.subjects || {};
+        weekData.subjects = { ...this.schoolData.subjects };
+        Object.entries(overrides).forEach(([division, subjects]) => {
+            weekData.subjects[division] = { ...this.schoolData.subjects[division], ...subjects };
+        });
+        weekData.specialEvents = (this.schoolData.specialEvents || []).filter(e => !e.weeks || e.weeks.includes(week));
+        return weekData;
+    }
+
+    _violation(code, message, details = {}) {
+        this.violations.push({ code, message, ...details });
+    }
+
+    // Flattened to [{ className, day, periodId, subject, teacher, teachers, room }]; `teachers` is
+    // everyone taking the lesson, including a synchronized group's extra teachers
+    _collectLessons(timetables) {
+        const lessons = [];
+        Object.entries(timetables).forEach(([className, classTimetable]) => {
+            Object.entries(classTimetable).forEach(([day, dayLessons]) => {
+                Object.entries(dayLessons).forEach(([slot, lesson]) => {
+                    lessons.push({ className, day, periodId: Number(slot), ...lesson, teachers: lesson.teachers || [lesson.teacher] });
+                });
+            });
+        });
+        return lessons;
+    }
+
+    _where(lesson) {
+        return `${lesson.className} ${lesson.subject} on ${lesson.day} period ${lesson.periodId}`;
+    }
+
+    _getDivision(className) {
+        return this.schoolData.classes?.[className]?.division;
+    }
+
+    // The division's day layout with the class's own `schedule` override on top
+    _getSchedule(className) {
+        const classInfo = this.schoolData.classes?.[className];
+        const divisionSchedule = classInfo && this.schoolData.divisionSchedules?.[classInfo.division];
+        if (!divisionSchedule && !classInfo?.schedule) return undefined;
+        return { ...divisionSchedule, ...classInfo.schedule };
+    }
+
+    // The periods that are a lesson slot for at least one class the teacher takes, directly or in a
+    // synchronized group. Break and lunch are not among them, so they never count as free periods.
+    _getTeacherLessonSlots(teacher) {
+        const classNames = Object.keys(this.schoolData.teachers || {})
+            .filter(className => Object.values(this.schoolData.teachers[className]).includes(teacher));
+        (this.constraints.synchronizedGroups || [])
+            .filter(group => (group.teachers || []).includes(teacher))
+            .forEach(group => classNames.push(...group.classes));
+        return new Set(classNames.flatMap(className => this._getSchedule(className)?.lessonSlots || []));
+    }
+
+    // Why teacherAvailability keeps the teacher away at day/periodId, or null
+    _getUnavailability(teacher, day, periodId) {
+        const rule = this.constraints.teacherAvailability?.[teacher];
+        if (!rule) return null;
+        const onDay = entry => !entry.days || entry.days.includes(day);
+        if (rule.availableDays && !rule.availableDays.includes(day)) return `only available on ${rule.availableDays.join(", ")}`;
+        if (rule.unavailableDays?.includes(day)) return `unavailable on ${day}`;
+        if (rule.unavailableSlots?.some(entry => onDay(entry) && entry.periods.includes(periodId))) return `unavailable in period ${periodId}`;
+        if (rule.windows && !rule.windows.some(w => onDay(w) && periodId >= w.from && periodId <= w.to)) return `outside their availability window`;
+        return null;
+    }
+
+    _getEventPeriods(className, day) {
+        const division = this._getDivision(className);
+        return this.schoolData.specialEvents
+            .filter(e => e.day === day && (e.appliesTo === "all" || (Array.isArray(e.appliesTo) && e.appliesTo.includes(division))))
+            .flatMap(e => e.periodIds || [e.periodId]);
+    }
+
+    // Lesson slots, break/lunch, special events, subject day restrictions and teacher availability
+    _checkSlots(lessons) {
+        lessons.forEach(lesson => {
+            const { className, day, periodId, subject, teachers } = lesson;
+            const schedule = this._getSchedule(className);
+            if (!schedule) {
+                this._violation("unknown-class", `${className} has lessons but no known division or schedule`, { className });
+                return;
+            }
+            if (!this.schoolData.days.includes(day)) {
+                this._violation("unknown-day", `${this._where(lesson)}: ${day} is not a school day`, { className, day });
+                return;
+            }
+            if (periodId === schedule.breakPeriod || periodId === schedule.lunchPeriod) {
+                this._violation("break-slot-used", `${this._where(lesson)} is during ${periodId === schedule.breakPeriod ? "break" : "lunch"}`, { className, day, periodId });
+            } else if (!schedule.lessonSlots.includes(periodId)) {
+                this._violation("not-a-lesson-slot", `${this._where(lesson)} is not one of the class's lesson slots`, { className, day, periodId });
+            }
+            if (this._getEventPeriods(className, day).includes(periodId)) {
+                this._violation("special-event-clash", `${this._where(lesson)} clashes with a special event`, { className, day, periodId });
+            }
+            const restrictedDays = this.constraints.subjectRestrictions?.[subject]?.days;
+            if (restrictedDays && !restrictedDays.includes(day)) {
+                this._violation("subject-restricted-day", `${this._where(lesson)}: ${subject} is only taught on ${restrictedDays.join(", ")}`, { className, subject, day });
+            }
+            teachers.forEach(teacher => {
+                const unavailable = this._getUnavailability(teacher, day, periodId);
+                if (unavailable) {
+                    this._violation("teacher-unavailable", `${this._where(lesson)}: ${teacher} - ${unavailable}`, { teacher, day, periodId });
+                }
+            });
+        });
+    }
+
+    // constraints.synchronizedGroups plus the legacy peSynchronization lists, as "className|subject" -> group index
+    _getSyncedLessons() {
+        if (this._syncedLessons) return this._syncedLessons;
+        const groups = [
+            ...(this.constraints.synchronizedGroups || []),
+            ...(this.constraints.peSynchronization || []).map(classes => ({ classes, subject: "P.E." }))
+        ];
+        this._syncedLessons = new Map();
+        groups.forEach((group, i) => {
+            (group.classes || []).forEach(className => {
+                const subject = group.subjects?.[className] || group.subject;
+                this._syncedLessons.set(`${className}|${subject}`, { index: i, teachers: group.teachers });
+            });
+        });
+        return this._syncedLessons;
+    }
+
+    // Lessons taught together by one synchronized group may share a teacher and a room
+    _sameSyncedGroup(group) {
+        const synced = this._getSyncedLessons();
+        const indexes = group.map(l => synced.get(`${l.className}|${l.subject}`)?.index);
+        return indexes.every(index => index !== undefined && index === indexes[0]);
+    }
+
+    // Every lesson is taught by the class's teacher for the subject, or by one of its synchronized group's teachers
+    _checkTeachers(lessons) {
+        lessons.forEach(lesson => {
+            const expected = this.schoolData.teachers[lesson.className]?.[lesson.subject];
+            const groupTeachers = this._getSyncedLessons().get(`${lesson.className}|${lesson.subject}`)?.teachers || [];
+            lesson.teachers.forEach(teacher => {
+                if (teacher !== expected && !groupTeachers.includes(teacher)) {
+                    this._violation("wrong-teacher", `${this._where(lesson)} is taught by ${teacher}, not ${expected || "an assigned teacher"}`, { className: lesson.className, subject: lesson.subject, teacher });
+                }
+            });
+        });
+    }
+
+    // Lessons sharing a key in the same slot, as [{ key, lessons }]; keysOf lists a lesson's keys
+    _groupBySlot(lessons, keysOf) {
+        const groups = {};
+        lessons.forEach(lesson => {
+            keysOf(lesson).forEach(key => {
+                const slotKey = `${lesson.day}|${lesson.periodId}|${key}`;
+                (groups[slotKey] = groups[slotKey] || { key, lessons: [] }).lessons.push(lesson);
+            });
+        });
+        return Object.values(groups).filter(group => group.lessons.length > 1);
+    }
+
+    // No teacher in two classes at once, and no single resource subject in two classes at once
+    _checkClashes(lessons) {
+        this._groupBySlot(lessons, l => l.teachers).forEach(({ key: teacher, lessons: group }) => {
+            if (this._sameSyncedGroup(group)) return;
+            const { day, periodId } = group[0];
+            this._violation("teacher-double-booked", `${teacher} teaches ${group.map(l => `${l.className} ${l.subject}`).join(" and ")} on ${day} period ${periodId}`, { teacher, day, periodId });
+        });
+
+        const singleResources = this.constraints.singleResourceSubjects || [];
+        this._groupBySlot(lessons, l => (singleResources.includes(l.subject) ? [l.subject] : [])).forEach(({ key: subject, lessons: group }) => {
+            if (this._sameSyncedGroup(group)) return;
+            const { day, periodId } = group[0];
+            this._violation("single-resource-shared", `${subject} is taught to ${group.map(l => l.className).join(" and ")} at once on ${day} period ${periodId}`, { subject, day, periodId });
+        });
+    }
+
+    // The rooms a subject may use for a class, or null when rooms aren't tracked for it
+    _getAllowedRooms(className, subject) {
+        const { rooms, singleResourceSubjects = [] } = this.constraints;
+        const type = rooms?.subjectRoomTypes?.[subject]
+            || (singleResourceSubjects.includes(subject) ? undefined : rooms?.defaultRoomType);
+        const roomType = type && rooms.types?.[type];
+        if (roomType) {
+            return roomType.perClass ? [this.schoolData.classes?.[className]?.homeroom || `${className} Homeroom`] : roomType.rooms;
+        }
+        return singleResourceSubjects.includes(subject) ? [subject] : null;
+    }
+
+    // Each lesson is in a room its subject may use, and no room holds two classes unless they are taught together
+    _checkRooms(lessons) {
+        lessons.forEach(lesson => {
+            const allowed = this._getAllowedRooms(lesson.className, lesson.subject);
+            if (!allowed) return;
+            if (!lesson.room) {
+                this._violation("missing-room", `${this._where(lesson)} has no room`, { className: lesson.className, subject: lesson.subject });
+            } else if (!allowed.includes(lesson.room)) {
+                this._violation("wrong-room", `${this._where(lesson)} is in ${lesson.room}, which ${lesson.subject} cannot use`, { className: lesson.className, subject: lesson.subject, room: lesson.room });
+            }
+        });
+        this._groupBySlot(lessons, l => (l.room ? [l.room] : [])).forEach(({ key: room, lessons: group }) => {
+            if (this._sameSyncedGroup(group) && group.every(l => l.teacher === group[0].teacher)) return;
+            const { day, periodId } = group[0];
+            this._violation("room-double-booked", `${room} holds ${group.map(l => l.className).join(" and ")} on ${day} period ${periodId}`, { room, day, periodId });
+        });
+    }
+
+    _getTeacherLimit(teacher, key) {
+        const { workloadLimits = {}, teacherWorkloadExceptions = [] } = this.constraints;
+        const override = workloadLimits.teacherOverrides?.[teacher]?.[key];
+        if (override !== undefined) return override;
+        if (key === "maxTeacherPeriodsPerDay" && teacherWorkloadExceptions.includes(teacher)) {
+            return workloadLimits.maxTeacherPeriodsPerDayException;
+        }
+        return workloadLimits[key];
+    }
+
+    // Periods per day and week, back-to-back runs and free periods. A synchronized lesson taught to
+    // several classes at once is one period for the teacher.
+    _checkTeacherWorkload(lessons) {
+        const busy = {};
+        lessons.forEach(({ teachers, day, periodId }) => teachers.forEach(teacher => {
+            busy[teacher] = busy[teacher] || {};
+            busy[teacher][day] = busy[teacher][day] || new Set();
+            busy[teacher][day].add(periodId);
+        }));
+        Object.entries(busy).forEach(([teacher, days]) => {
+            const perDay = this._getTeacherLimit(teacher, "maxTeacherPeriodsPerDay");
+            const consecutive = this._getTeacherLimit(teacher, "maxTeacherConsecutivePeriods");
+            const minFree = this._getTeacherLimit(teacher, "minTeacherFreePeriodsPerDay");
+            const perWeek = this._getTeacherLimit(teacher, "maxTeacherPeriodsPerWeek");
+            const lessonSlotCount = this._getTeacherLessonSlots(teacher).size;
+            let weekly = 0;
+
+            Object.entries(days).forEach(([day, periodSet]) => {
+                const periods = [...periodSet].sort((a, b) => a - b);
+                weekly += periods.length;
+                if (perDay !== undefined && periods.length > perDay) {
+                    this._violation("teacher-over-daily-limit", `${teacher} teaches ${periods.length} periods on ${day} (max ${perDay})`, { teacher, day });
+                }
+                if (minFree && periods.length > lessonSlotCount - minFree) {
+                    this._violation("teacher-no-free-period", `${teacher} has fewer than ${minFree} free period(s) on ${day}`, { teacher, day });
+                }
+                let run = 0;
+                let longest = 0;
+                periods.forEach((p, i) => {
+                    run = i > 0 && p === periods[i - 1] + 1 ? run + 1 : 1;
+                    longest = Math.max(longest, run);
+                });
+                if (consecutive && longest > consecutive) {
+                    this._violation("teacher-too-many-consecutive", `${teacher} teaches ${longest} periods in a row on ${day} (max ${consecutive})`, { teacher, day });
+                }
+            });
+            if (perWeek && weekly > perWeek) {
+                this._violation("teacher-over-weekly-limit", `${teacher} teaches ${weekly} periods a week (max ${perWeek})`, { teacher });
+            }
+        });
+    }
+
+    // workloadLimits.maxClassPeriodsPerDay and its overrides: subject + division, then subject, then division
+    _getSubjectDailyCap(className, subject) {
+        const { maxClassPeriodsPerDay, maxClassPeriodsPerDayOverrides = [] } = this.constraints.workloadLimits || {};
+        const division = this._getDivision(className);
+        const specificity = o => (o.subject ? 2 : 0) + (o.divisions ? 1 : 0);
+        const best = maxClassPeriodsPerDayOverrides
+            .filter(o => (o.subject || o.divisions) && (!o.subject || o.subject === subject) && (!o.divisions || o.divisions.includes(division)))
+            .sort((a, b) => specificity(b) - specificity(a))[0];
+        if (best) return best.max;
+        return maxClassPeriodsPerDay === undefined ? Infinity : maxClassPeriodsPerDay;
+    }
+
+    _countBy(lessons, keyOf) {
+        const counts = {};
+        lessons.forEach(lesson => {
+            const key = keyOf(lesson);
+            counts[key] = (counts[key] || 0) + 1;
+        });
+        return counts;
+    }
+
+    _checkSubjectDailyCaps(lessons) {
+        Object.entries(this._countBy(lessons, l => `${l.className}|${l.subject}|${l.day}`)).forEach(([key, count]) => {
+            const [className, subject, day] = key.split("|");
+            const cap = this._getSubjectDailyCap(className, subject);
+            if (count > cap) {
+                this._violation("subject-over-daily-cap", `${className} has ${count} periods of ${subject} on ${day} (max ${cap})`, { className, subject, day });
+            }
+        });
+    }
+
+    // Scheduled periods must equal subjects[division] less what the generator reported as unassigned.
+    // Subjects without a teacher are left to the validator, which reports them before generation.
+    _checkPeriodCounts(lessons, unassigned) {
+        const scheduled = this._countBy(lessons, l => `${l.className}|${l.subject}`);
+        const missing = {};
+        unassigned.forEach(entry => {
+            // Synchronized groups are reported once for all their classes ("5A,5B")
+            entry.className.split(",").forEach(className => {
+                const key = `${className}|${entry.subject}`;
+                missing[key] = (missing[key] || 0) + (entry.periodsRemaining || 0);
+            });
+        });
+
+        Object.entries(this.schoolData.teachers).forEach(([className, teachers]) => {
+            const allocation = this.schoolData.subjects[this._getDivision(className)] || {};
+            const subjects = new Set([...Object.keys(allocation), ...Object.keys(scheduled).filter(k => k.startsWith(`${className}|`)).map(k => k.split("|")[1])]);
+            subjects.forEach(subject => {
+                const key = `${className}|${subject}`;
+                if (allocation[subject] !== undefined && !teachers[subject] && !this._getSyncedLessons().has(key)) return;
+                const expected = (allocation[subject] || 0) - (missing[key] || 0);
+                const actual = scheduled[key] || 0;
+                if (actual !== expected) {
+                    this._violation("period-count-mismatch", `${className} has ${actual} periods of ${subject}; expected ${expected} (${allocation[subject] || 0} allocated, ${missing[key] || 0} reported unassigned)`, { className, subject, actual, expected });
+                }
+            });
+        });
+    }
+
+    _isDoublePair(className, a, b) {
+        const { breakPeriod, lunchPeriod } = this._getSchedule(className);
+        return Math.abs(a - b) === 1 || (Math.abs(a - b) === 2 && [breakPeriod, lunchPeriod].includes((a + b) / 2));
+    }
+
+    // Strict doublePeriodSubjects rules. A double is two periods back to back, or with only the class's
+    // break or lunch between them. Under strict: true the periods of one day must make exactly one double;
+    // under both kinds a day holds at most one double, and the week's doubles and singles must match
+    // the rule unless the generator reported the class/subject in its structure violations.
+    _checkDoubleStructure(lessons, structureViolations) {
+        const reported = new Set(structureViolations.map(v => `${v.className}|${v.subject}`));
+        (this.constraints.doublePeriodSubjects || []).filter(rule => rule.strict).forEach(rule => {
+            Object.keys(this.schoolData.teachers)
+                .filter(className => rule.divisions.includes(this._getDivision(className)))
+                .forEach(className => this._checkClassStructure(rule, className, lessons, reported.has(`${className}|${rule.subject}`)));
+        });
+    }
+
+    _checkClassStructure(rule, className, lessons, isReported) {
+        const subject = rule.subject;
+        const allocated = this.schoolData.subjects[this._getDivision(className)]?.[subject] || 0;
+        const placed = { doubles: 0, singles: 0 };
+
+        this.schoolData.days.forEach(day => {
+            const periods = lessons
+                .filter(l => l.className === className && l.subject === subject && l.day === day)
+                .map(l => l.periodId)
+                .sort((a, b) => a - b);
+            let doubles = 0;
+            for (let i = 0; i < periods.length; i++) {
+                if (i + 1 < periods.length && this._isDoublePair(className, periods[i], periods[i + 1])) {
+                    doubles++;
+                    i++;
+                } else {
+                    placed.singles++;
+                }
+            }
+            placed.doubles += doubles;
+
+            if (rule.strict === true && periods.length > 1 && !(periods.length === 2 && doubles === 1)) {
+                this._violation("broken-double", `${className} ${subject} on ${day} is in periods ${periods.join(", ")}, which do not form one double`, { className, subject, day });
+            } else if (doubles > 1 && !isReported) {
+                this._violation("doubles-same-day", `${className} has ${doubles} doubles of ${subject} on ${day}`, { className, subject, day });
+            }
+        });
+
+        if (isReported) return;
+        const expected = rule.strict === "mixed"
+            ? { doubles: rule.structure?.doubles || 0, singles: rule.structure?.singles || 0 }
+            : { doubles: allocated / 2, singles: 0 };
+        if (placed.doubles !== expected.doubles || placed.singles !== expected.singles) {
+            this._violation("structure-mismatch", `${className} ${subject} has ${placed.doubles} doubles + ${placed.singles} singles; its rule asks for ${expected.doubles} + ${expected.singles} and no structure violation was reported`, { className, subject });
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableChecker;
+}
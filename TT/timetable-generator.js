@@ -1,27 +1,65 @@
---- START OF FILE timetable-generator.js ---
+// --- FILE: timetable-generator.js ---
+
+// How many levels of evict-and-re-place the repair phase may chain before giving up on a slot
+const REPAIR_DEPTH = 2;
+
+// mulberry32: a tiny, fast 32-bit PRNG. Good enough for shuffling and fully reproducible from its seed.
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Weights for scoreTimetable(). Unassigned periods dominate; the others only break ties between complete timetables.
+const SCORE_WEIGHTS = {
+    unassignedPeriods: 100,
+    teacherLoadSpread: 5,
+    subjectClustering: 10,
+    softPenalty: 1 // softConstraints carry their own weights
+};
 
 class TimetableGenerator {
-    constructor(schoolData, constraints) {
+    constructor(schoolData, constraints, options = {}) {
         this.schoolData = schoolData;
         this.constraints = constraints;
+        // The seed is the only thing that varies between runs; pass the same one to reproduce a timetable
+        this.seed = Number.isInteger(options.seed) ? options.seed >>> 0 : Math.floor(Math.random() * 4294967296);
+        this._random = createSeededRandom(this.seed);
+        // Lessons fixed in place before scheduling: [{ className, day, periodId, subject, teacher, room? }].
+        // A synchronized group's lessons also book the group's extra teachers.
+        this.preAssignments = options.preAssignments || [];
+        // Where the step-by-step narration and warnings go: anything with log() and warn()
+        this._logger = options.logger || console;
+        this.rejectedPreAssignments = [];
+        this._pinned = new Set();
+        this._synchronizedLessons = new Set(); // "className|subject" pairs owned by a synchronized group
         this.timetables = {};
         this.globalSchedule = {};
         this.unassignedLessons = [];
         this.teacherStats = {};
+        this.softPenalty = { total: 0, byRule: [] };
+        this._journal = null; // Set while the repair phase records moves it may need to roll back
     }
 
     generate() {
-        console.log("Generator: Starting timetable generation process...");
+        this._logger.log(`Generator: Starting timetable generation process (seed ${this.seed})...`);
+        this._random = createSeededRandom(this.seed);
         this._initialize();
+        this._applyPreAssignments();
         this._scheduleRestrictedSubjects();
-        // Check if peSynchronization exists before calling the function
-        if (this.constraints.peSynchronization && this.constraints.peSynchronization.length > 0) {
-            this._schedulePESynchronization();
-        }
+        this._scheduleSynchronizedGroups();
         this._scheduleICTLessons();
         this._scheduleStrictDoubles();
         this._scheduleRemainingLessons();
-        console.log(`Generator: Process complete. ${this.unassignedLessons.length} unassigned lesson groups.`);
+        this._repairUnassignedLessons();
+        this._logger.log(`Generator: Process complete. ${this.unassignedLessons.length} unassigned lesson groups.`);
+        this.softPenalty = this.calculateSoftPenalty();
+        this._logger.log(`Generator: Soft constraint penalty ${this.softPenalty.total}.`);
         this._printTeacherStats();
         return this.timetables;
     }
@@ -42,17 +80,20 @@ class TimetableGenerator {
             this.globalSchedule[day] = {};
             this.schoolData.periods.forEach(period => {
                 this.globalSchedule[day][period.id] = {
-                    teachers: new Set(),
-                    resources: {} // Initialize all possible resources here
+                    // Teacher -> number of lessons booking them; a synchronized group books one teacher for several classes
+                    teachers: new Map(),
+                    resources: {} // Room name -> class using it; rooms appear here as they are booked
                 };
-                // Dynamically add single resource subjects to global schedule
-                this.constraints.singleResourceSubjects.forEach(resource => {
-                    this.globalSchedule[day][period.id].resources[resource] = null;
-                });
             });
         });
 
-        const teacherSet = new Set(Object.values(this.schoolData.teachers).flatMap(Object.values));
+        const groups = this._getSynchronizedGroups();
+        this._synchronizedLessons = new Set(groups.flatMap(group => this._getGroupMembers(group).map(m => `${m.className}|${m.subject}`)));
+
+        const teacherSet = new Set([
+            ...Object.values(this.schoolData.teachers).flatMap(Object.values),
+            ...groups.flatMap(group => group.teachers || [])
+        ]);
         teacherSet.forEach(teacher => {
             this.teacherStats[teacher] = { totalPeriods: 0, dailyPeriods: {} };
             this.schoolData.days.forEach(day => this.teacherStats[teacher].dailyPeriods[day] = 0);
@@ -69,18 +110,242 @@ class TimetableGenerator {
                 }
             });
         });
+
+        this._teacherLessonSlots = this._getTeacherLessonSlots();
+    }
+
+    // teacher -> Set of the periods that are a lesson slot for at least one of the teacher's classes
+    // (their own or a synchronized group's). Only these count as gaps or free periods: break and
+    // lunch are nobody's free period. The validator reads the same sets.
+    _getTeacherLessonSlots() {
+        const lessonSlots = {};
+        const addClass = (teacher, className) => {
+            const schedule = this._getClassSchedule(className);
+            if (!schedule) return;
+            if (!lessonSlots[teacher]) lessonSlots[teacher] = new Set();
+            schedule.lessonSlots.forEach(slot => lessonSlots[teacher].add(slot));
+        };
+        Object.entries(this.schoolData.teachers).forEach(([className, classTeachers]) => Object.values(classTeachers).forEach(teacher => addClass(teacher, className)));
+        this._getSynchronizedGroups().forEach(group => (group.teachers || []).forEach(teacher => group.classes.forEach(className => addClass(teacher, className))));
+        return lessonSlots;
+    }
+
+    // schoolData.classes is the single source for which division a class belongs to and how its
+    // day is laid out. These are static so app.js and the validator read it exactly the same way.
+    // Unknown classes have no division (undefined); the validator reports them.
+    static getClassDivision(schoolData, className) {
+        return schoolData.classes?.[className]?.division;
+    }
+
+    // The division's lessonSlots/breakPeriod/lunchPeriod, with any per-class `schedule` override on top
+    static getClassSchedule(schoolData, className) {
+        const classInfo = schoolData.classes?.[className];
+        if (!classInfo) return undefined;
+        const divisionSchedule = schoolData.divisionSchedules[classInfo.division];
+        if (!divisionSchedule && !classInfo.schedule) return undefined;
+        return { ...divisionSchedule, ...classInfo.schedule };
+    }
+
+    // A timetable can repeat over a cycle of weeks (e.g. an A/B fortnight) instead of every week:
+    //   schoolData.weeks: [{ name, subjects?: { division: { subject: periods } } }]
+    //   specialEvents[].weeks: the week names an event falls in (every week when omitted)
+    // A week's `subjects` are laid over schoolData.subjects, so a subject taught every other week
+    // is given 0 periods in the week it is not taught. Returns the week names, or null without a cycle.
+    static getCycleWeeks(schoolData) {
+        return Array.isArray(schoolData.weeks) && schoolData.weeks.length > 0 ? schoolData.weeks.map(w => w.name) : null;
+    }
+
+    // The plain single-week schoolData for one week of the cycle, which everything else works on
+    static getWeekSchoolData(schoolData, week) {
+        const { weeks, ...weekData } = schoolData;
+        const overrides = (weeks || []).find(w => w.name === week)?.subjects || {};
+        weekData.subjects = { ...schoolData.subjects };
+        Object.entries(overrides).forEach(([division, subjects]) => {
+            const merged = { ...schoolData.subjects?.[division], ...subjects };
+            Object.keys(merged).forEach(subject => { if (!merged[subject]) delete merged[subject]; });
+            weekData.subjects[division] = merged;
+        });
+        if (Array.isArray(schoolData.specialEvents)) {
+            weekData.specialEvents = schoolData.specialEvents
+                .filter(event => !event.weeks || event.weeks.includes(week))
+                .map(({ weeks: eventWeeks, ...event }) => event);
+        }
+        return weekData;
+    }
+
+    // teacherAvailability rules, shared with app.js so the teacher view shades the same slots:
+    //   availableDays / unavailableDays     whole days
+    //   unavailableSlots: [{ days?, periods }]       blocked periods (every day when `days` is omitted)
+    //   windows: [{ days?, from, to }]               if given, the teacher only works inside one of these
+    //   preferNotSlots: [{ days?, periods, weight? }] allowed, but cost `weight` (default 1) soft penalty
+    // Returns why the teacher can't teach at day/periodId, or null if they can.
+    static getTeacherUnavailability(constraints, teacher, day, periodId) {
+        const rule = constraints.teacherAvailability?.[teacher];
+        if (!rule) return null;
+        if (rule.availableDays && !rule.availableDays.includes(day)) return `Teacher only available on ${rule.availableDays.join()}`;
+        if (rule.unavailableDays && rule.unavailableDays.includes(day)) return `Teacher unavailable on ${day}`;
+        const onDay = entry => !entry.days || entry.days.includes(day);
+        if (rule.unavailableSlots?.some(entry => onDay(entry) && entry.periods.includes(periodId))) {
+            return `Teacher unavailable on ${day} period ${periodId}`;
+        }
+        if (rule.windows && !rule.windows.some(w => onDay(w) && periodId >= w.from && periodId <= w.to)) {
+            return `Teacher outside availability window on ${day}`;
+        }
+        return null;
+    }
+
+    static getTeacherPreferNotWeight(constraints, teacher, day, periodId) {
+        return (constraints.teacherAvailability?.[teacher]?.preferNotSlots || [])
+            .filter(entry => (!entry.days || entry.days.includes(day)) && entry.periods.includes(periodId))
+            .reduce((acc, entry) => acc + (entry.weight || 1), 0);
+    }
+
+    // Rebuild globalSchedule/teacherStats from an existing result so it can be edited with the same
+    // rules the generator uses. Lessons are taken as given; nothing is re-checked.
+    loadTimetables(timetables) {
+        this._initialize();
+        Object.entries(timetables).forEach(([className, classTimetable]) => {
+            if (!this.timetables[className]) return;
+            Object.entries(classTimetable).forEach(([day, dayLessons]) => {
+                Object.entries(dayLessons).forEach(([slot, lesson]) => {
+                    this.assignLesson(className, lesson.subject, lesson.teacher, day, Number(slot), lesson.room, (lesson.teachers || []).slice(1));
+                });
+            });
+        });
+        return this.timetables;
+    }
+
+    // Move a class's lesson to another slot, swapping with whatever the class has there.
+    // Both lessons are checked with canAssignLesson; on refusal nothing changes and the reason is returned.
+    // Synchronized lessons and halves of doubles are refused: they only make sense moved together.
+    // With dryRun the timetable is always left untouched.
+    moveLesson(className, fromDay, fromSlot, toDay, toSlot, dryRun = false) {
+        const moving = this.timetables[className]?.[fromDay]?.[fromSlot];
+        if (!moving) return { valid: false, reason: "No lesson to move" };
+        if (fromDay === toDay && fromSlot === toSlot) return { valid: true, swapped: false };
+
+        const displaced = this.timetables[className][toDay][toSlot];
+        const linked = this._getLinkedLessonReason(className, fromDay, fromSlot)
+            || (displaced && this._getLinkedLessonReason(className, toDay, toSlot));
+        if (linked) return { valid: false, reason: linked };
+        this.unassignLesson(className, fromDay, fromSlot);
+        if (displaced) this.unassignLesson(className, toDay, toSlot);
+
+        let check = this.canAssignLesson(className, moving.subject, moving.teacher, toDay, toSlot);
+        if (check.valid && displaced) {
+            // The displaced lesson must fit in the vacated slot with the moved lesson already in place
+            this.assignLesson(className, moving.subject, moving.teacher, toDay, toSlot);
+            const swapCheck = this.canAssignLesson(className, displaced.subject, displaced.teacher, fromDay, fromSlot);
+            if (!swapCheck.valid) check = { valid: false, reason: `Cannot swap ${displaced.subject} into ${fromDay} period ${fromSlot}: ${swapCheck.reason}` };
+            this.unassignLesson(className, toDay, toSlot);
+        }
+
+        if (check.valid && !dryRun) {
+            // Moved lessons pick up whichever suitable room is free in their new slot
+            this.assignLesson(className, moving.subject, moving.teacher, toDay, toSlot);
+            if (displaced) this.assignLesson(className, displaced.subject, displaced.teacher, fromDay, fromSlot);
+        } else {
+            this.assignLesson(className, moving.subject, moving.teacher, fromDay, fromSlot, moving.room);
+            if (displaced) this.assignLesson(className, displaced.subject, displaced.teacher, toDay, toSlot, displaced.room);
+        }
+        return check.valid ? { valid: true, swapped: Boolean(displaced) } : check;
+    }
+
+    // Seed the timetable with pinned lessons. They count towards each subject's periods, so the
+    // scheduling steps only fill what is left, and the repair phase never moves them.
+    _applyPreAssignments() {
+        this._pinned = new Set();
+        this.rejectedPreAssignments = [];
+        if (this.preAssignments.length === 0) return;
+        this._logger.log(`Generator Step 0: Placing ${this.preAssignments.length} pinned lessons...`);
+
+        // A synchronized group's pins for one period go in together, as _scheduleSyncedPeriods places
+        // them: checked one at a time, every class after the first would find the shared teacher booked
+        const groupOf = new Map();
+        this._getSynchronizedGroups().forEach(group => {
+            const members = this._getGroupMembers(group);
+            members.forEach(m => groupOf.set(`${m.className}|${m.subject}`, { group, extraTeachers: this._getExtraTeachers(group, members) }));
+        });
+        const batches = new Map();
+        this.preAssignments.forEach((lesson, i) => {
+            const synced = groupOf.get(`${lesson.className}|${lesson.subject}`);
+            const key = synced ? `${this._groupLabel(synced.group)}|${lesson.day}|${lesson.periodId}` : i;
+            if (!batches.has(key)) batches.set(key, { lessons: [], extraTeachers: synced?.extraTeachers || [] });
+            batches.get(key).lessons.push(lesson);
+        });
+
+        batches.forEach(({ lessons, extraTeachers }) => {
+            const check = this._checkPinnedBatch(lessons, extraTeachers);
+            if (!check.valid) {
+                lessons.forEach(lesson => {
+                    this._logger.warn(`Generator: Pinned ${lesson.subject} for ${lesson.className} on ${lesson.day} period ${lesson.periodId} dropped: ${check.reason}`);
+                    this.rejectedPreAssignments.push({ ...lesson, reason: check.reason });
+                });
+                return;
+            }
+            lessons.forEach(({ className, day, periodId, subject, teacher, room }) => {
+                this.assignLesson(className, subject, teacher, day, periodId, room, extraTeachers);
+                this._pinned.add(`${className}|${day}|${periodId}`);
+            });
+        });
+    }
+
+    // Every lesson of the batch is checked before any is placed; the first refusal rejects them all
+    _checkPinnedBatch(lessons, extraTeachers) {
+        for (const { className, day, periodId, subject, teacher } of lessons) {
+            if (!this.timetables[className]?.[day] || !this.globalSchedule[day]?.[periodId]) return { valid: false, reason: "Unknown class, day or period" };
+            const check = this.canAssignLesson(className, subject, teacher, day, periodId);
+            if (!check.valid) return lessons.length > 1 ? { valid: false, reason: `${className}: ${check.reason}` } : check;
+        }
+        const { day, periodId } = lessons[0];
+        for (const t of extraTeachers) {
+            if (this.globalSchedule[day][periodId].teachers.has(t)) return { valid: false, reason: `${t} booked` };
+            const unavailable = this._getTeacherUnavailability(t, day, periodId);
+            if (unavailable) return { valid: false, reason: `${t}: ${unavailable}` };
+        }
+        return { valid: true };
+    }
+
+    // Why the lesson at day/slot cannot be moved on its own, or null when it can
+    _getLinkedLessonReason(className, day, slot) {
+        const { subject } = this.timetables[className][day][slot];
+        if (this._synchronizedLessons.has(`${className}|${subject}`)) return `${subject} for ${className} is taught with a synchronized group`;
+        if (this._isHalfOfDouble(className, day, slot)) return `${subject} on ${day} period ${slot} is half of a double`;
+        return null;
+    }
+
+    isPinned(className, day, slot) {
+        return this._pinned.has(`${className}|${day}|${slot}`);
     }
 
     _getClassDivision(className) {
-        const year = parseInt(className[0]);
-        if (year <= 3) return "lowerPrimary";
-        if (year <= 6) return "upperPrimary";
-        return "lowerSecondary";
+        return TimetableGenerator.getClassDivision(this.schoolData, className);
+    }
+
+    _getClassSchedule(className) {
+        return TimetableGenerator.getClassSchedule(this.schoolData, className);
+    }
+
+    _getTeacherUnavailability(teacher, day, slot) {
+        return TimetableGenerator.getTeacherUnavailability(this.constraints, teacher, day, slot);
+    }
+
+    _hasTeacherPreferences() {
+        return Object.values(this.constraints.teacherAvailability || {}).some(rule => rule.preferNotSlots?.length);
+    }
+
+    // Unbiased in-place Fisher-Yates shuffle driven by the seeded PRNG
+    _shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this._random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
     }
 
     _getAvailableLessonSlots(className, day) {
         const division = this._getClassDivision(className);
-        let slots = [...this.schoolData.divisionSchedules[division].lessonSlots];
+        let slots = [...this._getClassSchedule(className).lessonSlots];
         
         const eventsOnDay = this.schoolData.specialEvents.filter(e => e.day === day && (e.appliesTo === 'all' || (Array.isArray(e.appliesTo) && e.appliesTo.includes(division))));
         if (eventsOnDay.length > 0) {
@@ -95,111 +360,451 @@ class TimetableGenerator {
         return Object.values(this.timetables[className][day]).filter(l => l.subject === subject).length;
     }
 
+    // Per-subject daily cap for a class. The most specific entry in
+    // workloadLimits.maxClassPeriodsPerDayOverrides wins: subject + division, then subject, then division.
+    _getSubjectDailyCap(className, subject) {
+        const { maxClassPeriodsPerDay, maxClassPeriodsPerDayOverrides = [] } = this.constraints.workloadLimits;
+        const division = this._getClassDivision(className);
+        const matches = maxClassPeriodsPerDayOverrides.filter(o =>
+            (!o.subject || o.subject === subject) && (!o.divisions || o.divisions.includes(division)) && (o.subject || o.divisions)
+        );
+        const specificity = (o) => (o.subject ? 2 : 0) + (o.divisions ? 1 : 0);
+        const best = matches.sort((a, b) => specificity(b) - specificity(a))[0];
+        if (best) return best.max;
+        return maxClassPeriodsPerDay === undefined ? Infinity : maxClassPeriodsPerDay;
+    }
+
+    _fitsDailyCap(className, subject, day, numPeriods) {
+        return this._countSubjectOnDay(className, subject, day) + numPeriods <= this._getSubjectDailyCap(className, subject);
+    }
+
     _getScheduledPeriods(className, subject) {
         return this.schoolData.days.reduce((acc, day) => acc + this._countSubjectOnDay(className, subject, day), 0);
     }
 
     canAssignLesson(className, subject, teacher, day, slot) {
-        const { workloadLimits, teacherAvailability, subjectRestrictions, singleResourceSubjects } = this.constraints;
-        if (!this.teacherStats[teacher]) return { valid: false, reason: "Teacher not found in stats" };
+        const [reason] = this._getAssignReasons(className, subject, teacher, day, slot, true);
+        return reason ? { valid: false, reason } : { valid: true };
+    }
 
-        if (
-            this.teacherStats[teacher].dailyPeriods[day] >= (
-                this.constraints.teacherWorkloadExceptions.includes(teacher)
-                    ? workloadLimits.maxTeacherPeriodsPerDayException
-                    : workloadLimits.maxTeacherPeriodsPerDay
-            )
-        ) {
-            return { valid: false, reason: `Teacher workload exceeded` };
-        }
+    // Every rule that refuses `teacher` taking `className` at day/slot, in the order canAssignLesson
+    // checks them. With firstOnly it stops at the first, which is all scheduling needs.
+    _getAssignReasons(className, subject, teacher, day, slot, firstOnly = false) {
+        const { subjectRestrictions } = this.constraints;
+        if (!this.teacherStats[teacher]) return ["Teacher not found in stats"];
+        const reasons = [];
+        const refuse = reason => {
+            reasons.push(reason);
+            return firstOnly;
+        };
 
         // Check if the slot is already taken by a special event for this class division
         const division = this._getClassDivision(className);
         const eventsOnDay = this.schoolData.specialEvents.filter(e => e.day === day && (e.appliesTo === 'all' || (Array.isArray(e.appliesTo) && e.appliesTo.includes(division))));
         const eventPeriods = eventsOnDay.flatMap(e => e.periodIds || [e.periodId]);
-        if (eventPeriods.includes(slot)) {
-            return { valid: false, reason: `Class slot booked by special event` };
-        }
+        if (eventPeriods.includes(slot) && refuse(`Class slot booked by special event`)) return reasons;
         
-        // This constraint applies to the *class*, not a specific subject count.
-        // It prevents any more lessons for the class on that day beyond the limit.
-        // If maxClassPeriodsPerDay applies per subject, then the previous code was fine.
-        // If it applies to total periods for the class, then this needs adjustment.
-        // Assuming it's per subject as per your original logic:
-        // if (this._countSubjectOnDay(className, subject, day) >= workloadLimits.maxClassPeriodsPerDay) return { valid: false, reason: `Subject max daily load` };
+        // maxClassPeriodsPerDay caps how many periods of one subject a class gets on one day.
+        // Doubles need room for both halves; callers placing several periods check _fitsDailyCap first.
+        if (!this._fitsDailyCap(className, subject, day, 1) && refuse(`Subject max daily load (${this._getSubjectDailyCap(className, subject)} per day)`)) return reasons;
         
-        const availabilityRule = teacherAvailability[teacher];
-        if (availabilityRule) {
-            if (availabilityRule.availableDays && !availabilityRule.availableDays.includes(day)) return { valid: false, reason: `Teacher only available on ${availabilityRule.availableDays.join()}` };
-            if (availabilityRule.unavailableDays && availabilityRule.unavailableDays.includes(day)) return { valid: false, reason: `Teacher unavailable on ${day}` };
-        }
+        const unavailable = this._getTeacherUnavailability(teacher, day, slot);
+        if (unavailable && refuse(unavailable)) return reasons;
         
         const subjectRule = subjectRestrictions[subject];
-        if (subjectRule && subjectRule.days && !subjectRule.days.includes(day)) return { valid: false, reason: `Subject restricted to ${subjectRule.days.join()}` };
-        
-        if (this.globalSchedule[day][slot].teachers.has(teacher)) return { valid: false, reason: `Teacher booked` };
-        if (this.timetables[className][day][slot]) return { valid: false, reason: `Class booked` };
+        if (subjectRule && subjectRule.days && !subjectRule.days.includes(day) && refuse(`Subject restricted to ${subjectRule.days.join()}`)) return reasons;
         
-        // Check if the subject uses a single resource and if that resource is already booked
-        if (singleResourceSubjects.includes(subject)) {
-            if (this.globalSchedule[day][slot].resources[subject]) {
-                return { valid: false, reason: `${subject} resource booked` };
-            }
+        if (!this._getClassSchedule(className).lessonSlots.includes(slot) && refuse(`Not a lesson slot for this class`)) return reasons;
+        if (this.globalSchedule[day][slot].teachers.has(teacher) && refuse(`Teacher booked`)) return reasons;
+        if (this.timetables[className][day][slot] && refuse(`Class booked`)) return reasons;
+
+        for (const reason of this._getWorkloadReasons(teacher, day, slot, [], firstOnly)) {
+            if (refuse(reason)) return reasons;
         }
         
-        return { valid: true };
+        // Check that a room of the type the subject needs is still free
+        const roomOptions = this._getRoomOptions(className, subject);
+        if (roomOptions && !this._findFreeRoom(roomOptions, day, slot)) refuse(`${roomOptions.label} booked`);
+        
+        return reasons;
+    }
+
+    // workloadLimits.teacherOverrides[teacher] can replace any of the teacher limits for one teacher.
+    // maxTeacherPeriodsPerDay still falls back to the older teacherWorkloadExceptions list.
+    _getTeacherLimit(teacher, key) {
+        const { workloadLimits } = this.constraints;
+        const override = workloadLimits.teacherOverrides?.[teacher]?.[key];
+        if (override !== undefined) return override;
+        if (key === "maxTeacherPeriodsPerDay" && this.constraints.teacherWorkloadExceptions?.includes(teacher)) {
+            return workloadLimits.maxTeacherPeriodsPerDayException;
+        }
+        return workloadLimits[key];
     }
 
-    assignLesson(className, subject, teacher, day, slot) {
-        this.timetables[className][day][slot] = { subject, teacher };
-        this.globalSchedule[day][slot].teachers.add(teacher);
-        if (this.constraints.singleResourceSubjects.includes(subject)) {
-            this.globalSchedule[day][slot].resources[subject] = className; // Mark resource as used by this class
+    // Limits on the shape of a teacher's day and week, checked as if `slot` were added. All of them
+    // count the teacher's distinct busy periods, so a synchronized group is one period, not one per class:
+    //   maxTeacherPeriodsPerDay       periods taught that day
+    //   maxTeacherConsecutivePeriods  longest run of back-to-back periods
+    //   maxTeacherGapsPerDay          free lesson slots between the first and last lesson (only growth is refused)
+    //   minTeacherFreePeriodsPerDay   of the teacher's lesson slots, how many must stay free each day
+    //   maxTeacherPeriodsPerWeek      periods taught across the week
+    // Returns the reason the slot breaks a limit, or null. Doubles pass the other half in `pendingSlots`.
+    _checkTeacherWorkload(teacher, day, slot, pendingSlots = []) {
+        return this._getWorkloadReasons(teacher, day, slot, pendingSlots, true)[0] || null;
+    }
+
+    // Every limit the slot breaks, as _getAssignReasons collects them
+    _getWorkloadReasons(teacher, day, slot, pendingSlots, firstOnly) {
+        const busy = [...this._getTeacherBusyPeriods(teacher, day), ...pendingSlots];
+        // Diagnostics also ask about slots the teacher is already booked in
+        const withSlot = busy.includes(slot) ? busy : [...busy, slot];
+        const reasons = [];
+        const refuse = reason => {
+            reasons.push(reason);
+            return firstOnly;
+        };
+
+        const maxPerDay = this._getTeacherLimit(teacher, "maxTeacherPeriodsPerDay");
+        if (maxPerDay !== undefined && withSlot.length > maxPerDay && refuse(`Teacher workload exceeded`)) return reasons;
+
+        const maxConsecutive = this._getTeacherLimit(teacher, "maxTeacherConsecutivePeriods");
+        if (maxConsecutive && this._longestRun(withSlot) > maxConsecutive && refuse(`Teacher max ${maxConsecutive} consecutive periods`)) return reasons;
+
+        const maxGaps = this._getTeacherLimit(teacher, "maxTeacherGapsPerDay");
+        if (maxGaps !== undefined && maxGaps !== null) {
+            const gaps = this._countGaps(teacher, withSlot);
+            if (gaps > maxGaps && gaps > this._countGaps(teacher, busy) && refuse(`Teacher max ${maxGaps} gaps per day`)) return reasons;
         }
-        this.teacherStats[teacher].dailyPeriods[day]++;
+
+        const minFree = this._getTeacherLimit(teacher, "minTeacherFreePeriodsPerDay");
+        const lessonSlots = this._teacherLessonSlots[teacher];
+        if (minFree && lessonSlots && withSlot.length > lessonSlots.size - minFree && refuse(`Teacher needs ${minFree} free period${minFree > 1 ? 's' : ''} per day`)) return reasons;
+
+        const maxPerWeek = this._getTeacherLimit(teacher, "maxTeacherPeriodsPerWeek");
+        if (maxPerWeek) {
+            const weekly = this.schoolData.days.reduce((acc, d) => acc + this._getTeacherBusyPeriods(teacher, d).length, 0);
+            if (weekly + pendingSlots.length + 1 > maxPerWeek) refuse(`Teacher weekly limit (${maxPerWeek} per week)`);
+        }
+        return reasons;
+    }
+
+    _longestRun(periods) {
+        const sorted = [...periods].sort((a, b) => a - b);
+        let longest = 0;
+        let run = 0;
+        sorted.forEach((p, i) => {
+            run = i > 0 && p === sorted[i - 1] + 1 ? run + 1 : 1;
+            longest = Math.max(longest, run);
+        });
+        return longest;
+    }
+
+    // Why each of the class's lesson slots refuses the lesson in the finished timetable, so an
+    // unassigned entry can show which rules got in the way. Every day is checked, so day
+    // restrictions show up too. A slot lists every rule against it, not just the first.
+    // Returns { blockedBy: { reason: slotCount }, slotReasons: { day: { slot: [reason] } } }.
+    _diagnoseLesson(className, subject, teacher) {
+        return this._diagnoseSlots(className, (day, slot) => this._getAssignReasons(className, subject, teacher, day, slot));
+    }
+
+    // As _diagnoseLesson, for a synchronized group: a slot is refused by whatever refuses any
+    // member class, or finds one of the group's extra teachers busy or away
+    _diagnoseGroup(group) {
+        const members = this._getGroupMembers(group);
+        const extraTeachers = this._getExtraTeachers(group, members);
+        return this._diagnoseSlots(members[0].className, (day, slot) => [...new Set([
+            ...members.flatMap(m => this._getAssignReasons(m.className, m.subject, m.teacher, day, slot)),
+            ...extraTeachers.flatMap(t => [
+                this.globalSchedule[day][slot].teachers.has(t) && `Teacher booked`,
+                this._getTeacherUnavailability(t, day, slot)
+            ].filter(Boolean))
+        ])]);
+    }
+
+    _diagnoseSlots(className, reasonsAt) {
+        const blockedBy = {};
+        const slotReasons = {};
+        this.schoolData.days.forEach(day => {
+            slotReasons[day] = {};
+            (this._getClassSchedule(className)?.lessonSlots || []).forEach(slot => {
+                const reasons = reasonsAt(day, slot);
+                if (reasons.length === 0) return;
+                reasons.forEach(reason => blockedBy[reason] = (blockedBy[reason] || 0) + 1);
+                slotReasons[day][slot] = reasons;
+            });
+        });
+        return { blockedBy, slotReasons };
+    }
+
+    // Pass `room` to restore a lesson to a specific room; otherwise the first free room is taken.
+    // extraTeachers are a synchronized group's teachers who take the lesson alongside `teacher`;
+    // the lesson lists everyone in `teachers`.
+    assignLesson(className, subject, teacher, day, slot, room, extraTeachers = []) {
+        const roomOptions = this._getRoomOptions(className, subject);
+        const assignedRoom = roomOptions
+            ? room || this._findSharedRoom(roomOptions, teacher, day, slot) || this._findFreeRoom(roomOptions, day, slot)
+            : null;
+        const lesson = { subject, teacher };
+        if (extraTeachers.length) lesson.teachers = [teacher, ...extraTeachers];
+        if (assignedRoom) lesson.room = assignedRoom;
+        this.timetables[className][day][slot] = lesson;
+        [teacher, ...extraTeachers].forEach(t => this._bookTeacher(t, day, slot));
+        if (assignedRoom && !this.globalSchedule[day][slot].resources[assignedRoom]) {
+            this.globalSchedule[day][slot].resources[assignedRoom] = className; // Mark room as used by this class
+        }
+        if (this._journal) this._journal.push({ op: 'assign', className, day, slot });
+    }
+
+    unassignLesson(className, day, slot) {
+        const lesson = this.timetables[className][day][slot];
+        if (!lesson) return null;
+        const { subject, teacher, teachers = [teacher], room } = lesson;
+        delete this.timetables[className][day][slot];
+        teachers.forEach(t => this._releaseTeacher(t, day, slot));
+        if (room && this.globalSchedule[day][slot].resources[room] === className) {
+            // Classes taught together share a room, which stays booked while any of them is in it
+            this.globalSchedule[day][slot].resources[room] = Object.keys(this.timetables)
+                .find(c => this.timetables[c][day][slot]?.room === room) || null;
+        }
+        if (this._journal) this._journal.push({ op: 'unassign', className, subject, teacher, extraTeachers: teachers.slice(1), room, day, slot });
+        return lesson;
+    }
+
+    // A period counts once towards a teacher's day however many classes they take in it
+    _bookTeacher(teacher, day, slot) {
+        const bookings = this.globalSchedule[day][slot].teachers;
+        const count = bookings.get(teacher) || 0;
+        bookings.set(teacher, count + 1);
+        if (count === 0) this.teacherStats[teacher].dailyPeriods[day]++;
+    }
+
+    _releaseTeacher(teacher, day, slot) {
+        const bookings = this.globalSchedule[day][slot].teachers;
+        const count = bookings.get(teacher) || 0;
+        if (count > 1) {
+            bookings.set(teacher, count - 1);
+        } else if (count === 1) {
+            bookings.delete(teacher);
+            this.teacherStats[teacher].dailyPeriods[day]--;
+        }
+    }
+
+    // --- ROOMS ---
+    // The rooms a lesson can use, as { label, rooms }, or null when rooms aren't tracked for it.
+    // constraints.rooms.subjectRoomTypes maps subjects to room types; other subjects use
+    // defaultRoomType. Without a room type, a singleResourceSubjects entry is one room named
+    // after the subject, as before rooms existed.
+    _getRoomOptions(className, subject) {
+        const { rooms, singleResourceSubjects } = this.constraints;
+        const type = rooms?.subjectRoomTypes?.[subject]
+            || (singleResourceSubjects.includes(subject) ? undefined : rooms?.defaultRoomType);
+        const roomType = type && rooms.types?.[type];
+        if (roomType) {
+            return { label: type, rooms: roomType.perClass ? [this._getHomeroom(className)] : roomType.rooms };
+        }
+        if (singleResourceSubjects.includes(subject)) return { label: `${subject} resource`, rooms: [subject] };
+        return null;
+    }
+
+    // Every room the configuration knows about, for room pickers and views
+    listRooms() {
+        const names = new Set();
+        Object.keys(this.schoolData.teachers).forEach(className => {
+            Object.keys(this.schoolData.teachers[className]).forEach(subject => {
+                this._getRoomOptions(className, subject)?.rooms.forEach(room => names.add(room));
+            });
+        });
+        Object.values(this.constraints.rooms?.types || {}).forEach(roomType => (roomType.rooms || []).forEach(room => names.add(room)));
+        return [...names].sort();
+    }
+
+    _getHomeroom(className) {
+        return this.schoolData.classes?.[className]?.homeroom || `${className} Homeroom`;
+    }
+
+    _findFreeRoom(roomOptions, day, slot) {
+        return roomOptions.rooms.find(room => !this.globalSchedule[day][slot].resources[room]);
     }
 
+    // Classes taught together (synced groups) share the room their teacher is already in
+    _findSharedRoom(roomOptions, teacher, day, slot) {
+        if (!this.globalSchedule[day][slot].teachers.has(teacher)) return undefined;
+        return roomOptions.rooms.find(room => {
+            const holder = this.globalSchedule[day][slot].resources[room];
+            return holder && this.timetables[holder][day][slot]?.teacher === teacher;
+        });
+    }
+
+    // Doubles first, then singles, as _getBlocksToPlace lays them out. A double that finds no slot is
+    // reported unassigned rather than split into singles; getStructureViolations() says what is missing.
     _scheduleLesson(lesson, allowedDays) {
-        let { periods: periodsToSchedule, className, subject } = lesson;
+        const { periods, className, subject } = lesson;
+        let unplacedDoubles = 0;
+        let unplacedSingles = 0;
+
+        for (const size of this._getBlocksToPlace(className, subject, periods)) {
+            if (this._scheduleSpecificPeriods(lesson, allowedDays, size)) continue;
+            if (size === 2) {
+                unplacedDoubles++;
+            } else {
+                unplacedSingles++;
+            }
+        }
+
+        if (unplacedDoubles > 0) {
+            this.unassignedLessons.push({ className, subject, periodsRemaining: unplacedDoubles * 2, blockSize: 2, reason: "Could not find a slot for a double period" });
+        }
+        if (unplacedSingles > 0) {
+            const capReached = allowedDays.every(day => !this._fitsDailyCap(className, subject, day, 1));
+            const reason = capReached
+                ? `Subject max daily load (${this._getSubjectDailyCap(className, subject)} per day) reached on every allowed day`
+                : "Could not find a free slot for single period";
+            this.unassignedLessons.push({ className, subject, periodsRemaining: unplacedSingles, reason });
+        }
+    }
+
+    // --- DOUBLE PERIOD STRUCTURE ---
+    // doublePeriodSubjects rules with `strict` fix how a subject's periods are split:
+    //   strict: true      every period is part of a double
+    //   strict: "mixed"   exactly structure.doubles doubles and structure.singles singles
+    // A double is two periods back to back, or with only the class's break or lunch between them.
+    // Periods of the subject never touch otherwise, and a day holds at most one of its doubles.
+    _getDoubleRule(className, subject) {
         const division = this._getClassDivision(className);
-        const rule = this.constraints.doublePeriodSubjects.find(r => r.subject === subject && r.divisions.includes(division));
-
-        // Prioritize scheduling strict double periods first if the rule exists
-        if (rule && rule.strict) {
-            const doublesToSchedule = rule.strict === 'mixed' ? rule.structure.doubles : Math.floor(periodsToSchedule / 2);
-            for (let i = 0; i < doublesToSchedule; i++) {
-                if (this._scheduleSpecificPeriods(lesson, allowedDays, 2)) {
-                    periodsToSchedule -= 2;
+        return this.constraints.doublePeriodSubjects.find(r => r.subject === subject && r.divisions.includes(division));
+    }
+
+    _isDoublePair(className, a, b) {
+        const gap = Math.abs(a - b);
+        if (gap === 1) return true;
+        const { breakPeriod, lunchPeriod } = this._getClassSchedule(className);
+        return gap === 2 && [breakPeriod, lunchPeriod].includes((a + b) / 2);
+    }
+
+    // The doubles and singles a subject should get out of `periods`, and why the rule can't be met exactly
+    _planStructure(rule, periods) {
+        if (rule.strict === "mixed") {
+            const { doubles = 0, singles = 0 } = rule.structure || {};
+            if (doubles * 2 + singles === periods) return { doubles, singles, problem: null };
+            const fitted = Math.min(doubles, Math.floor(periods / 2));
+            return {
+                doubles: fitted,
+                singles: periods - fitted * 2,
+                problem: `structure of ${doubles} doubles + ${singles} singles needs ${doubles * 2 + singles} periods, but ${periods} are allocated`
+            };
+        }
+        return {
+            doubles: Math.floor(periods / 2),
+            singles: periods % 2,
+            problem: periods % 2 ? `${periods} periods cannot all be taught as doubles` : null
+        };
+    }
+
+    // The subject's periods in the class, paired into doubles day by day: { doubles, singles, doublesByDay }
+    _countSubjectBlocks(className, subject) {
+        const counts = { doubles: 0, singles: 0, doublesByDay: {} };
+        this.schoolData.days.forEach(day => {
+            const slots = Object.keys(this.timetables[className][day]).map(Number)
+                .filter(slot => this.timetables[className][day][slot].subject === subject)
+                .sort((a, b) => a - b);
+            counts.doublesByDay[day] = 0;
+            for (let i = 0; i < slots.length; i++) {
+                if (i + 1 < slots.length && this._isDoublePair(className, slots[i], slots[i + 1])) {
+                    counts.doubles++;
+                    counts.doublesByDay[day]++;
+                    i++;
                 } else {
-                    // If we can't schedule a double, try singles for the remaining
-                    break;
+                    counts.singles++;
                 }
             }
+        });
+        return counts;
+    }
+
+    // Block sizes (2 or 1) still to place for `periods` more periods. Doubles and singles already in the
+    // timetable (pinned lessons, an earlier step) count towards the planned structure.
+    _getBlocksToPlace(className, subject, periods) {
+        const rule = this._getDoubleRule(className, subject);
+        if (!rule?.strict) return Array(periods).fill(1);
+
+        const division = this._getClassDivision(className);
+        const plan = this._planStructure(rule, this.schoolData.subjects[division]?.[subject] || 0);
+        const placed = this._countSubjectBlocks(className, subject);
+        let doubles = Math.max(0, plan.doubles - placed.doubles);
+        let singles = Math.max(0, plan.singles - placed.singles);
+        // Never place more than is left; anything the plan doesn't cover goes in as singles
+        while (doubles * 2 + singles > periods) {
+            if (singles > 0) singles--;
+            else doubles--;
         }
-        
-        // Schedule remaining periods as singles or if strict doubles couldn't be met
-        while (periodsToSchedule > 0) {
-            if (this._scheduleSpecificPeriods(lesson, allowedDays, 1)) {
-                periodsToSchedule--;
-            } else {
-                this.unassignedLessons.push({ className, subject, periodsRemaining: periodsToSchedule, reason: "Could not find a free slot for single period" });
-                break;
-            }
-        }
+        singles += periods - (doubles * 2 + singles);
+        return [...Array(doubles).fill(2), ...Array(singles).fill(1)];
+    }
+
+    // A new block of a structured subject may not touch another of its periods that day (two singles
+    // would read as a double, a double plus a period as a triple), and a second double needs another day.
+    // An all-doubles subject keeps to one block a day, so the single of an odd count gets a day of its own.
+    _fitsStructure(className, subject, day, slots) {
+        const rule = this._getDoubleRule(className, subject);
+        if (!rule?.strict) return true;
+        const lessons = this.timetables[className][day];
+        const existing = Object.keys(lessons).map(Number).filter(slot => lessons[slot].subject === subject);
+        if (rule.strict === true && existing.length > 0) return false;
+        if (existing.some(e => slots.some(slot => this._isDoublePair(className, e, slot)))) return false;
+        return slots.length < 2 || this._countSubjectBlocks(className, subject).doublesByDay[day] === 0;
+    }
+
+    // Every class/subject under a strict rule whose placed doubles and singles differ from its rule.
+    // Returns [{ className, subject, expected: { doubles, singles }, placed: { doubles, singles }, reason }].
+    getStructureViolations() {
+        const violations = [];
+        Object.keys(this.timetables).forEach(className => {
+            const division = this._getClassDivision(className);
+            Object.entries(this.schoolData.subjects[division] || {}).forEach(([subject, periods]) => {
+                const rule = this._getDoubleRule(className, subject);
+                if (!rule?.strict || !periods) return;
+                const plan = this._planStructure(rule, periods);
+                const placed = this._countSubjectBlocks(className, subject);
+                const describe = ({ doubles, singles }) => `${doubles} double${doubles === 1 ? "" : "s"} + ${singles} single${singles === 1 ? "" : "s"}`;
+
+                const reasons = [];
+                if (plan.problem) {
+                    // The rule can't be met at all: one reason, against what it declares rather than the
+                    // fallback split _planStructure placed instead
+                    reasons.push(`${plan.problem}; placed ${describe(placed)}`);
+                } else if (placed.doubles !== plan.doubles || placed.singles !== plan.singles) {
+                    reasons.push(`placed ${describe(placed)} instead of ${describe(plan)}`);
+                }
+                const crowded = Object.keys(placed.doublesByDay).filter(day => placed.doublesByDay[day] > 1);
+                if (crowded.length > 0) reasons.push(`more than one double on ${crowded.join(", ")}`);
+                if (reasons.length === 0) return;
+
+                violations.push({
+                    className,
+                    subject,
+                    expected: rule.strict === "mixed" ? { doubles: rule.structure?.doubles || 0, singles: rule.structure?.singles || 0 } : { doubles: Math.floor(periods / 2), singles: 0 },
+                    placed: { doubles: placed.doubles, singles: placed.singles },
+                    reason: reasons.join("; ")
+                });
+            });
+        });
+        return violations;
     }
 
     _scheduleSpecificPeriods({ className, subject, teacher }, allowedDays, numPeriods) {
-        const shuffledDays = [...allowedDays].sort(() => Math.random() - 0.5);
+        const shuffledDays = this._shuffle([...allowedDays]);
+        // Collect every valid placement in preference order, then let the soft constraints pick among them
+        const candidates = [];
 
         for (const day of shuffledDays) {
             const slots = this._getAvailableLessonSlots(className, day);
             if (slots.length < numPeriods) continue;
+            if (!this._fitsDailyCap(className, subject, day, numPeriods)) continue;
 
             if (numPeriods === 1) {
-                for (const slot of slots.sort(() => Math.random() - 0.5)) {
-                    if (this.canAssignLesson(className, subject, teacher, day, slot).valid) {
-                        this.assignLesson(className, subject, teacher, day, slot);
-                        return true;
+                for (const slot of this._shuffle(slots)) {
+                    if (this.canAssignLesson(className, subject, teacher, day, slot).valid && this._fitsStructure(className, subject, day, [slot])) {
+                        candidates.push({ day, slots: [slot] });
                     }
                 }
             } else if (numPeriods === 2) {
@@ -207,17 +812,14 @@ class TimetableGenerator {
                 for (let i = 0; i < slots.length - 1; i++) {
                     if (slots[i+1] === slots[i] + 1) { // Check if consecutive
                          const [s1, s2] = [slots[i], slots[i+1]];
-                         if (this.canAssignLesson(className, subject, teacher, day, s1).valid && this.canAssignLesson(className, subject, teacher, day, s2).valid) {
-                            this.assignLesson(className, subject, teacher, day, s1);
-                            this.assignLesson(className, subject, teacher, day, s2);
-                            return true;
+                         if (this._canAssignDouble(className, subject, teacher, day, s1, s2)) {
+                            candidates.push({ day, slots: [s1, s2] });
                         }
                     }
                 }
 
                 // Then try slots separated by a break/lunch
-                const division = this._getClassDivision(className);
-                const { breakPeriod, lunchPeriod } = this.schoolData.divisionSchedules[division];
+                const { breakPeriod, lunchPeriod } = this._getClassSchedule(className);
                 for (let i = 0; i < slots.length; i++) {
                     for (let j = i + 1; j < slots.length; j++) {
                         const s1 = slots[i];
@@ -226,10 +828,8 @@ class TimetableGenerator {
                         if (s2 - s1 === 2) {
                             const middlePeriod = s1 + 1;
                             if (middlePeriod === breakPeriod || middlePeriod === lunchPeriod) {
-                                if (this.canAssignLesson(className, subject, teacher, day, s1).valid && this.canAssignLesson(className, subject, teacher, day, s2).valid) {
-                                    this.assignLesson(className, subject, teacher, day, s1);
-                                    this.assignLesson(className, subject, teacher, day, s2);
-                                    return true;
+                                if (this._canAssignDouble(className, subject, teacher, day, s1, s2)) {
+                                    candidates.push({ day, slots: [s1, s2] });
                                 }
                             }
                         }
@@ -237,103 +837,296 @@ class TimetableGenerator {
                 }
             }
         }
-        return false;
+
+        const best = this._pickLowestPenalty(candidates, className, subject, teacher);
+        if (!best) return false;
+        best.slots.forEach(slot => this.assignLesson(className, subject, teacher, best.day, slot));
+        return true;
+    }
+
+    // Both halves must be free, and the teacher's workload limits must hold with both placed
+    _canAssignDouble(className, subject, teacher, day, s1, s2) {
+        return this._fitsStructure(className, subject, day, [s1, s2])
+            && this.canAssignLesson(className, subject, teacher, day, s1).valid
+            && this.canAssignLesson(className, subject, teacher, day, s2).valid
+            && !this._checkTeacherWorkload(teacher, day, s2, [s1]);
+    }
+
+    // --- SOFT CONSTRAINTS ---
+    // Returns the first candidate with the lowest soft-constraint penalty. Candidates arrive in
+    // (shuffled) preference order, so ties keep the original randomised choice.
+    _pickLowestPenalty(candidates, className, subject, teacher) {
+        if (candidates.length === 0) return null;
+        if (!this.constraints.softConstraints?.length && !this._hasTeacherPreferences()) return candidates[0];
+
+        let best = null;
+        let bestPenalty = Infinity;
+        candidates.forEach(candidate => {
+            const penalty = this._placementPenalty(className, subject, teacher, candidate.day, candidate.slots);
+            if (penalty < bestPenalty) {
+                best = candidate;
+                bestPenalty = penalty;
+            }
+        });
+        return best;
+    }
+
+    _softRuleApplies(rule, subject, division) {
+        if (rule.subject && rule.subject !== subject) return false;
+        if (rule.subjects && !rule.subjects.includes(subject)) return false;
+        if (rule.divisions && !rule.divisions.includes(division)) return false;
+        return true;
     }
 
-    _scheduleSyncedPeriods(group, subject, numPeriods) {
-        // Ensure all classes in the group have the same teacher for the subject for this to work
-        const teacher = this.schoolData.teachers[group[0]][subject];
-        if (!teacher) {
-            console.warn(`Synced P.E.: Teacher for ${subject} not found for class ${group[0]}. Skipping group.`);
-            return false;
+    _isRuleSlot(rule, className, day, slot) {
+        const slots = this._getAvailableLessonSlots(className, day);
+        return rule.periods.some(p => (p === "last" ? slot === slots[slots.length - 1] : p === slot));
+    }
+
+    // Free lesson slots between the teacher's first and last period of a day
+    _countGaps(teacher, busyPeriods) {
+        if (busyPeriods.length < 2) return 0;
+        const busy = new Set(busyPeriods);
+        const first = Math.min(...busy);
+        const last = Math.max(...busy);
+        const lessonSlots = this._teacherLessonSlots[teacher];
+        let gaps = 0;
+        for (let p = first + 1; p < last; p++) {
+            if (!busy.has(p) && (!lessonSlots || lessonSlots.has(p))) gaps++;
         }
+        return gaps;
+    }
 
-        // Get allowed days for the teacher
-        let allowedDays = [...this.schoolData.days];
-        const teacherAvail = this.constraints.teacherAvailability[teacher];
-        if (teacherAvail) {
-            if (teacherAvail.availableDays) {
-                allowedDays = allowedDays.filter(d => teacherAvail.availableDays.includes(d));
+    _getTeacherBusyPeriods(teacher, day) {
+        return Object.keys(this.globalSchedule[day])
+            .map(Number)
+            .filter(p => this.globalSchedule[day][p].teachers.has(teacher));
+    }
+
+    // Penalty that placing `subject` for `className` at day/slots would add on top of the current timetable
+    _placementPenalty(className, subject, teacher, day, slots) {
+        const division = this._getClassDivision(className);
+        let penalty = 0;
+
+        (this.constraints.softConstraints || []).forEach(rule => {
+            if (!this._softRuleApplies(rule, subject, division)) return;
+            const weight = rule.weight || 1;
+
+            switch (rule.type) {
+                case "preferredPeriods":
+                    slots.forEach(slot => { if (!this._isRuleSlot(rule, className, day, slot)) penalty += weight; });
+                    break;
+                case "avoidPeriods":
+                    slots.forEach(slot => { if (this._isRuleSlot(rule, className, day, slot)) penalty += weight; });
+                    break;
+                case "maxSubjectPeriodsPerDay": {
+                    const before = this._countSubjectOnDay(className, subject, day);
+                    const after = before + slots.length;
+                    penalty += weight * (Math.max(0, after - rule.max) - Math.max(0, before - rule.max));
+                    break;
+                }
+                case "avoidTeacherGaps": {
+                    const busy = this._getTeacherBusyPeriods(teacher, day);
+                    penalty += weight * (this._countGaps(teacher, [...busy, ...slots]) - this._countGaps(teacher, busy));
+                    break;
+                }
             }
-            if (teacherAvail.unavailableDays) {
-                allowedDays = allowedDays.filter(d => !teacherAvail.unavailableDays.includes(d));
+        });
+        slots.forEach(slot => penalty += TimetableGenerator.getTeacherPreferNotWeight(this.constraints, teacher, day, slot));
+        return penalty;
+    }
+
+    // Total soft-constraint penalty of the current timetable, with a per-rule breakdown
+    calculateSoftPenalty() {
+        const rules = this.constraints.softConstraints || [];
+        const byRule = rules.map(rule => ({ type: rule.type, subject: rule.subject || rule.subjects?.join(), penalty: 0 }));
+
+        rules.forEach((rule, index) => {
+            const weight = rule.weight || 1;
+
+            if (rule.type === "avoidTeacherGaps") {
+                // Gaps belong to the teacher, not to a lesson, so count them once per teacher-day
+                Object.keys(this.teacherStats).forEach(teacher => {
+                    this.schoolData.days.forEach(day => {
+                        byRule[index].penalty += weight * this._countGaps(teacher, this._getTeacherBusyPeriods(teacher, day));
+                    });
+                });
+                return;
             }
+
+            Object.entries(this.timetables).forEach(([className, classTimetable]) => {
+                const division = this._getClassDivision(className);
+                Object.entries(classTimetable).forEach(([day, dayLessons]) => {
+                    const perSubject = {};
+                    Object.entries(dayLessons).forEach(([slot, lesson]) => {
+                        if (!this._softRuleApplies(rule, lesson.subject, division)) return;
+                        perSubject[lesson.subject] = (perSubject[lesson.subject] || 0) + 1;
+                        if (rule.type === "preferredPeriods" && !this._isRuleSlot(rule, className, day, Number(slot))) byRule[index].penalty += weight;
+                        if (rule.type === "avoidPeriods" && this._isRuleSlot(rule, className, day, Number(slot))) byRule[index].penalty += weight;
+                    });
+                    if (rule.type === "maxSubjectPeriodsPerDay") {
+                        Object.values(perSubject).forEach(count => byRule[index].penalty += weight * Math.max(0, count - rule.max));
+                    }
+                });
+            });
+        });
+
+        // Teachers' preferNotSlots are reported as one extra rule
+        if (this._hasTeacherPreferences()) {
+            const preferNot = { type: "teacherPreferNot", penalty: 0 };
+            Object.values(this.timetables).forEach(classTimetable => {
+                Object.entries(classTimetable).forEach(([day, dayLessons]) => {
+                    Object.entries(dayLessons).forEach(([slot, lesson]) => {
+                        preferNot.penalty += TimetableGenerator.getTeacherPreferNotWeight(this.constraints, lesson.teacher, day, Number(slot));
+                    });
+                });
+            });
+            byRule.push(preferNot);
         }
 
-        for (const day of allowedDays.sort(() => Math.random() - 0.5)) {
-            // Get available slots for the first class in the group
-            // Assuming all classes in a synced group have the same division schedule and special events
-            const slots = this._getAvailableLessonSlots(group[0], day);
+        return { total: byRule.reduce((acc, r) => acc + r.penalty, 0), byRule };
+    }
+
+    // Place one block of `numPeriods` for every member of a synchronized group at the same time.
+    // Doubles may be consecutive or split by a break/lunch that every member shares, as in _scheduleSpecificPeriods.
+    _scheduleSyncedPeriods(group, members, numPeriods, allowedDays) {
+        // Teachers named on the group but not teaching any member (e.g. a second set) must be free too
+        const extraTeachers = this._getExtraTeachers(group, members);
+
+        for (const day of this._shuffle([...allowedDays])) {
+            const memberSlots = members.map(m => this._getAvailableLessonSlots(m.className, day));
+            const slots = memberSlots[0].filter(s => memberSlots.every(list => list.includes(s)));
             if (slots.length < numPeriods) continue;
+            if (!members.every(m => this._fitsDailyCap(m.className, m.subject, day, numPeriods))) continue;
 
-            // Iterate through possible starting slots
-            for (let i = 0; i <= slots.length - numPeriods; i++) {
-                const potentialSlots = slots.slice(i, i + numPeriods);
-                // For strict consecutive, ensure the difference between min and max slot is numPeriods - 1
-                if (numPeriods > 1 && (potentialSlots[potentialSlots.length - 1] - potentialSlots[0] !== numPeriods - 1)) {
-                    // This handles non-consecutive slots if numPeriods > 1.
-                    // For example, if slots are [1, 2, 4] and numPeriods is 2, slice(0,2) is [1,2] (diff 1).
-                    // Slice(1,3) is [2,4] (diff 2), which would be skipped by this check.
-                    // If you want to allow non-consecutive slots separated by breaks/lunch for synced periods,
-                    // this logic here for potentialSlots needs to be more complex, similar to _scheduleSpecificPeriods.
-                    // For now, assuming strict consecutive slots for synced doubles.
-                    continue;
+            const candidates = [];
+            if (numPeriods === 1) {
+                this._shuffle(slots).forEach(s => candidates.push([s]));
+            } else {
+                for (let i = 0; i < slots.length - 1; i++) {
+                    if (slots[i + 1] === slots[i] + 1) candidates.push([slots[i], slots[i + 1]]);
                 }
+                const schedules = members.map(m => this._getClassSchedule(m.className));
+                for (let i = 0; i < slots.length - 1; i++) {
+                    const middlePeriod = slots[i] + 1;
+                    if (slots[i + 1] === slots[i] + 2 && schedules.every(sch => middlePeriod === sch.breakPeriod || middlePeriod === sch.lunchPeriod)) {
+                        candidates.push([slots[i], slots[i + 1]]);
+                    }
+                }
+            }
 
+            for (const potentialSlots of candidates) {
                 // Check if all classes in the group can assign lessons in these potential slots
-                const canAssignAll = group.every(c => 
-                    potentialSlots.every(s => this.canAssignLesson(c, subject, teacher, day, s).valid)
-                );
+                const canAssignAll = members.every(m =>
+                    potentialSlots.every(s => this.canAssignLesson(m.className, m.subject, m.teacher, day, s).valid) &&
+                    (potentialSlots.length < 2 || !this._checkTeacherWorkload(m.teacher, day, potentialSlots[1], [potentialSlots[0]]))
+                ) && extraTeachers.every(t => potentialSlots.every(s =>
+                    !this.globalSchedule[day][s].teachers.has(t) && !this._getTeacherUnavailability(t, day, s)
+                ));
 
                 if (canAssignAll) {
                     // Assign lessons for all classes in the group
-                    group.forEach(c => potentialSlots.forEach(s => this.assignLesson(c, subject, teacher, day, s)));
+                    // Extra teachers go on every member's lesson, so each class shows who is taking the group
+                    members.forEach(m => potentialSlots.forEach(s => this.assignLesson(m.className, m.subject, m.teacher, day, s, undefined, extraTeachers)));
                     return true;
                 }
             }
         }
         return false;
     }
+
+    // constraints.synchronizedGroups: [{ name?, classes, subject | subjects: { className: subject },
+    // teachers?, structure?: { doubles, singles }, periods? }]. The legacy peSynchronization lists
+    // are read as P.E. groups taught by the classes' own teachers.
+    _getSynchronizedGroups() {
+        const groups = [...(this.constraints.synchronizedGroups || [])];
+        (this.constraints.peSynchronization || []).forEach(classes => groups.push({ classes, subject: "P.E." }));
+        return groups;
+    }
+
+    // Each class in a group is taught by its own teacher when that teacher belongs to the group;
+    // otherwise the group's teachers are handed out in order.
+    _getGroupMembers(group) {
+        return group.classes.map((className, i) => {
+            const subject = group.subjects?.[className] || group.subject;
+            const ownTeacher = this.schoolData.teachers[className]?.[subject];
+            const teacher = !group.teachers || group.teachers.includes(ownTeacher)
+                ? ownTeacher
+                : group.teachers[i % group.teachers.length];
+            return { className, subject, teacher };
+        });
+    }
+
+    // The group's teachers who take no member class themselves but are with the group throughout
+    _getExtraTeachers(group, members) {
+        const memberTeachers = new Set(members.map(m => m.teacher));
+        return (group.teachers || []).filter(t => !memberTeachers.has(t));
+    }
+
+    _groupLabel(group) {
+        return group.name || `${group.classes.join(',')} ${group.subject || Object.values(group.subjects || {}).join('/')}`;
+    }
     
     // --- SCHEDULING ORDER ---
     _scheduleRestrictedSubjects() {
-        console.log("Generator Step 1: Scheduling strictly restricted subjects...");
+        this._logger.log("Generator Step 1: Scheduling strictly restricted subjects...");
         Object.entries(this.constraints.subjectRestrictions).forEach(([subject, rule]) => {
             // Pass the restricted days to _scheduleAllForSubject
             this._scheduleAllForSubject(subject, rule.days);
         });
     }
 
-    _schedulePESynchronization() {
-        console.log("Generator Step 2: Scheduling synchronized P.E. lessons...");
-        // Ensure peSynchronization exists and is an array before iterating
-        if (!this.constraints.peSynchronization || !Array.isArray(this.constraints.peSynchronization)) {
-            console.log("No P.E. synchronization rules found in constraints.");
-            return;
-        }
+    _scheduleSynchronizedGroups() {
+        const groups = this._getSynchronizedGroups();
+        if (groups.length === 0) return;
+        this._logger.log("Generator Step 2: Scheduling synchronized groups...");
 
-        this.constraints.peSynchronization.forEach(group => {
-            const subject = "P.E.";
-            // Get division for the first class in the group (assuming all in group are same division for P.E. planning)
-            const division = this._getClassDivision(group[0]);
-            const needed = this.schoolData.subjects[division]?.[subject];
-            
+        groups.forEach(group => {
+            const members = this._getGroupMembers(group);
+            const missing = members.find(m => !m.teacher || !this.teacherStats[m.teacher]);
+            if (missing) {
+                this._logger.warn(`Synced group ${this._groupLabel(group)}: no teacher for ${missing.subject} in ${missing.className}. Skipping group.`);
+                this.unassignedLessons.push({ className: group.classes.join(','), subject: missing.subject, periodsRemaining: 0, reason: `No teacher for synchronized group ${this._groupLabel(group)}` });
+                return;
+            }
+
+            // The first member sets the pace; the validator checks the others need the same number of periods
+            const lead = members[0];
+            const needed = group.periods ?? this.schoolData.subjects[this._getClassDivision(lead.className)]?.[lead.subject];
             if (!needed) {
-                console.warn(`P.E. subject or its periods not defined for division ${division} of group ${group.join()}. Skipping.`);
+                this._logger.warn(`Synced group ${this._groupLabel(group)}: ${lead.subject} has no periods for ${lead.className}. Skipping.`);
                 return;
             }
 
-            // Calculate how many periods are already scheduled for the first class in the group
-            let scheduled = this._getScheduledPeriods(group[0], subject);
-            
-            // Continue scheduling until all periods are met
-            while (scheduled < needed) {
-                const periodsToSchedule = (needed - scheduled >= 2) ? 2 : 1; // Try to schedule doubles first
-                if (this._scheduleSyncedPeriods(group, subject, periodsToSchedule)) {
-                    scheduled += periodsToSchedule;
+            // Days every group teacher can make, within any subject restriction
+            const teachers = new Set([...members.map(m => m.teacher), ...(group.teachers || [])]);
+            const allowedDays = this.schoolData.days.filter(day =>
+                [...teachers].every(t => this._getTeacherAvailableDays(t).includes(day)) &&
+                members.every(m => !this.constraints.subjectRestrictions[m.subject]?.days || this.constraints.subjectRestrictions[m.subject].days.includes(day))
+            );
+
+            let scheduled = this._getScheduledPeriods(lead.className, lead.subject);
+            const blocks = [];
+            let toPlan = needed - scheduled;
+            if (group.structure) {
+                for (let i = 0; i < (group.structure.doubles || 0) && toPlan >= 2; i++, toPlan -= 2) blocks.push(2);
+                for (let i = 0; i < (group.structure.singles || 0) && toPlan >= 1; i++, toPlan -= 1) blocks.push(1);
+                // A structure that adds up short still leaves the periods to teach; they go in as singles
+                for (; toPlan > 0; toPlan--) blocks.push(1);
+            } else {
+                while (toPlan > 0) { // Try to schedule doubles first
+                    const size = toPlan >= 2 ? 2 : 1;
+                    blocks.push(size);
+                    toPlan -= size;
+                }
+            }
+
+            for (const size of blocks) {
+                if (this._scheduleSyncedPeriods(group, members, size, allowedDays)) {
+                    scheduled += size;
                 } else {
                     // If a synced slot can't be found, log it and break
-                    this.unassignedLessons.push({ className: group.join(','), subject, periodsRemaining: (needed - scheduled), reason: "Could not find sync P.E. slot" });
+                    this.unassignedLessons.push({ className: group.classes.join(','), subject: lead.subject, periodsRemaining: (needed - scheduled), reason: `Could not find a synchronized slot for ${this._groupLabel(group)}` });
                     break;
                 }
             }
@@ -341,19 +1134,19 @@ class TimetableGenerator {
     }
     
     _scheduleICTLessons() {
-        console.log("Generator Step 3: Scheduling ICT lessons (single resource)...");
+        this._logger.log("Generator Step 3: Scheduling ICT lessons (single resource)...");
         // ICT is implicitly handled by _scheduleAllForSubject and canAssignLesson's resource check
         this._scheduleAllForSubject("ICT");
     }
     
     _scheduleStrictDoubles() {
-        console.log("Generator Step 4: Scheduling remaining strict double periods...");
+        this._logger.log("Generator Step 4: Scheduling remaining strict double periods...");
         // Filter for rules that have 'strict' property set to true (or 'mixed')
         this.constraints.doublePeriodSubjects.filter(r => r.strict).forEach(rule => this._scheduleAllForSubject(rule.subject));
     }
 
     _scheduleRemainingLessons() {
-        console.log("Generator Step 5: Scheduling all remaining lessons...");
+        this._logger.log("Generator Step 5: Scheduling all remaining lessons...");
         const allSubjects = [...new Set(Object.values(this.schoolData.subjects).flatMap(div => Object.keys(div)))];
         
         // Filter out subjects already handled by specific steps (e.g., P.E., ICT, strictly restricted, strict doubles)
@@ -367,16 +1160,12 @@ class TimetableGenerator {
         if (this.constraints.doublePeriodSubjects) {
             this.constraints.doublePeriodSubjects.filter(r => r.strict).forEach(r => subjectsToSkip.add(r.subject));
         }
-        // If P.E. is in peSynchronization, it's handled. Check for the actual "P.E." subject name.
-        if (this.constraints.peSynchronization && this.constraints.peSynchronization.length > 0) {
-            subjectsToSkip.add("P.E.");
-        }
-
+        // Synchronized groups are skipped per class in _scheduleAllForSubject, so the same subject
+        // is still scheduled normally for classes outside any group.
 
         // Schedule the remaining subjects
-        allSubjects.filter(subject => !subjectsToSkip.has(subject))
-                   .sort(() => Math.random() - 0.5) // Randomize for better distribution
-                   .forEach(subject => this._scheduleAllForSubject(subject));
+        this._shuffle(allSubjects.filter(subject => !subjectsToSkip.has(subject))) // Randomize for better distribution
+            .forEach(subject => this._scheduleAllForSubject(subject));
     }
 
     _scheduleAllForSubject(subject, allowedDays = this.schoolData.days) {
@@ -384,6 +1173,7 @@ class TimetableGenerator {
             const division = this._getClassDivision(className);
             const teacher = this.schoolData.teachers[className]?.[subject];
             const needed = this.schoolData.subjects[division]?.[subject];
+            if (this._synchronizedLessons.has(`${className}|${subject}`)) return;
             
             if (teacher && needed !== undefined) { // Check for undefined, not just falsy
                  const scheduled = this._getScheduledPeriods(className, subject);
@@ -397,15 +1187,375 @@ class TimetableGenerator {
         });
     }
 
+    // --- REPAIR PHASE ---
+    // Greedy placement can paint itself into a corner: every free slot of a class clashes with
+    // its teacher, or the teacher's free slots are all taken in the class. Here we retry each
+    // unassigned period and, when no slot is free, evict up to two movable single lessons
+    // (recursively re-placing them, bounded by REPAIR_DEPTH) to make room.
+    _repairUnassignedLessons() {
+        this._logger.log("Generator Step 6: Repairing unassigned lessons...");
+        const stillUnassigned = [];
+        const reported = {};
+
+        this.unassignedLessons.forEach(entry => {
+            const { className, subject } = entry;
+            const teacher = this.schoolData.teachers[className]?.[subject];
+            // Synced group entries ("5A,5B") and unknown classes are left as reported; groups get a diagnosis
+            if (!this.timetables[className] || !teacher) {
+                const group = this._getSynchronizedGroups().find(g => g.classes.join(',') === className);
+                const diagnosable = group && entry.periodsRemaining > 0 && this._getGroupMembers(group).every(m => this.timetables[m.className] && this.teacherStats[m.teacher]);
+                stillUnassigned.push(diagnosable ? { ...entry, ...this._diagnoseGroup(group) } : entry);
+                return;
+            }
+
+            const division = this._getClassDivision(className);
+            const needed = this.schoolData.subjects[division]?.[subject] || 0;
+            const allowedDays = this.constraints.subjectRestrictions[subject]?.days || this.schoolData.days;
+            // Recount rather than trust the entry: a subject scheduled by two steps can be reported twice
+            const key = `${className}|${subject}`;
+            const deficit = needed - this._getScheduledPeriods(className, subject) - (reported[key] || 0);
+            let remaining = Math.min(entry.periodsRemaining, deficit);
+            // Doubles are re-placed whole, never as two singles
+            const size = entry.blockSize || 1;
+            remaining -= remaining % size;
+            const place = size === 2
+                ? () => this._placeDoubleWithRepair({ className, subject, teacher }, allowedDays)
+                : () => this._placeWithRepair({ className, subject, teacher }, allowedDays, REPAIR_DEPTH);
+            while (remaining > 0 && place()) {
+                remaining -= size;
+            }
+            if (remaining > 0) {
+                reported[key] = (reported[key] || 0) + remaining;
+                stillUnassigned.push({ ...entry, periodsRemaining: remaining, ...this._diagnoseLesson(className, subject, teacher) });
+            }
+        });
+
+        const repaired = this.unassignedLessons.length - stillUnassigned.length;
+        this._logger.log(`Generator: Repair phase resolved ${repaired} of ${this.unassignedLessons.length} unassigned lesson groups.`);
+        this.unassignedLessons = stillUnassigned;
+    }
+
+    // As _placeWithRepair, for both halves of a double at once. The evicted lessons are re-placed
+    // one level shallower, so a double never chains further than a single would.
+    _placeDoubleWithRepair(lesson, allowedDays) {
+        const { className, subject, teacher } = lesson;
+        const pairs = [];
+        allowedDays.forEach(day => {
+            if (!this._fitsDailyCap(className, subject, day, 2)) return;
+            const slots = this._getAvailableLessonSlots(className, day);
+            slots.forEach(s1 => slots.forEach(s2 => {
+                if (s2 > s1 && this._isDoublePair(className, s1, s2)) pairs.push({ day, slots: [s1, s2] });
+            }));
+        });
+        this._shuffle(pairs);
+
+        const outerJournal = this._journal;
+        for (const { day, slots } of pairs) {
+            const blockers = [];
+            const movable = slots.every(slot => {
+                if (this.canAssignLesson(className, subject, teacher, day, slot).valid) return true;
+                const found = this._findBlockers(className, subject, teacher, day, slot);
+                if (!found) return false;
+                found.forEach(b => {
+                    if (!blockers.some(o => o.className === b.className && o.slot === b.slot)) blockers.push(b);
+                });
+                return true;
+            });
+            if (!movable || blockers.length > 2) continue;
+
+            this._journal = [];
+            const evicted = blockers.map(b => ({ ...this.unassignLesson(b.className, b.day, b.slot), className: b.className }));
+            let ok = this._canAssignDouble(className, subject, teacher, day, slots[0], slots[1]);
+            if (ok) {
+                slots.forEach(slot => this.assignLesson(className, subject, teacher, day, slot));
+                ok = evicted.every(e => {
+                    const days = this.constraints.subjectRestrictions[e.subject]?.days || this.schoolData.days;
+                    return this._placeWithRepair(e, days, REPAIR_DEPTH - 1);
+                });
+            }
+
+            const journal = this._journal;
+            this._journal = outerJournal;
+            if (ok) {
+                if (outerJournal) outerJournal.push(...journal);
+                return true;
+            }
+            this._rollback(journal);
+        }
+        return false;
+    }
+
+    _placeWithRepair(lesson, allowedDays, depth) {
+        const { className, subject, teacher } = lesson;
+        const candidates = [];
+        allowedDays.forEach(day => {
+            this._getAvailableLessonSlots(className, day).forEach(slot => candidates.push({ day, slot }));
+        });
+        this._shuffle(candidates);
+
+        const directCandidates = [];
+        for (const { day, slot } of candidates) {
+            if (this.canAssignLesson(className, subject, teacher, day, slot).valid && this._fitsStructure(className, subject, day, [slot])) {
+                directCandidates.push({ day, slots: [slot] });
+            }
+        }
+        const direct = this._pickLowestPenalty(directCandidates, className, subject, teacher);
+        if (direct) {
+            this.assignLesson(className, subject, teacher, direct.day, direct.slots[0]);
+            return true;
+        }
+        if (depth === 0) return false;
+
+        const outerJournal = this._journal;
+        for (const { day, slot } of candidates) {
+            const blockers = this._findBlockers(className, subject, teacher, day, slot);
+            if (!blockers) continue;
+
+            this._journal = [];
+            const evicted = blockers.map(b => ({ ...this.unassignLesson(b.className, b.day, b.slot), className: b.className }));
+            let ok = this.canAssignLesson(className, subject, teacher, day, slot).valid && this._fitsStructure(className, subject, day, [slot]);
+            if (ok) {
+                this.assignLesson(className, subject, teacher, day, slot);
+                ok = evicted.every(e => {
+                    const days = this.constraints.subjectRestrictions[e.subject]?.days || this.schoolData.days;
+                    return this._placeWithRepair(e, days, depth - 1);
+                });
+            }
+
+            const journal = this._journal;
+            this._journal = outerJournal;
+            if (ok) {
+                if (outerJournal) outerJournal.push(...journal);
+                return true;
+            }
+            this._rollback(journal);
+        }
+        return false;
+    }
+
+    // Returns the lessons that must move for `teacher` to take `className` at day/slot,
+    // or null when the slot is blocked by something we cannot move (events, availability,
+    // doubles, synced groups) or would need more than two evictions.
+    _findBlockers(className, subject, teacher, day, slot) {
+        const blockers = [];
+        const addBlocker = (c) => {
+            if (!blockers.some(b => b.className === c)) blockers.push({ className: c, day, slot });
+        };
+
+        if (this.timetables[className][day][slot]) addBlocker(className);
+        if (this.globalSchedule[day][slot].teachers.has(teacher)) {
+            const busyClass = Object.keys(this.timetables).find(c => {
+                const lesson = this.timetables[c][day][slot];
+                return lesson && (lesson.teachers || [lesson.teacher]).includes(teacher);
+            });
+            if (busyClass) addBlocker(busyClass);
+        }
+        const roomOptions = this._getRoomOptions(className, subject);
+        if (roomOptions && !this._findFreeRoom(roomOptions, day, slot)) {
+            // Every suitable room is taken: try freeing the first one
+            addBlocker(this.globalSchedule[day][slot].resources[roomOptions.rooms[0]]);
+        }
+        if (blockers.length === 0 || blockers.length > 2) return null;
+        if (!blockers.every(b => this._isMovableLesson(b.className, b.day, b.slot))) return null;
+        return blockers;
+    }
+
+    _isMovableLesson(className, day, slot) {
+        const lesson = this.timetables[className][day][slot];
+        if (!lesson || this.isPinned(className, day, slot)) return false;
+        if (this._synchronizedLessons.has(`${className}|${lesson.subject}`)) return false;
+        return !this._isHalfOfDouble(className, day, slot);
+    }
+
+    // Never break up a double: look at the neighbouring lesson slots, allowing a break/lunch gap
+    _isHalfOfDouble(className, day, slot) {
+        const subject = this.timetables[className][day][slot].subject;
+        const isPairedWith = (other) => this._isDoublePair(className, other, slot) && this.timetables[className][day][other]?.subject === subject;
+        return [slot - 2, slot - 1, slot + 1, slot + 2].some(isPairedWith);
+    }
+
+    _rollback(journal) {
+        const outerJournal = this._journal;
+        this._journal = null;
+        journal.reverse().forEach(entry => {
+            if (entry.op === 'assign') {
+                this.unassignLesson(entry.className, entry.day, entry.slot);
+            } else {
+                this.assignLesson(entry.className, entry.subject, entry.teacher, entry.day, entry.slot, entry.room, entry.extraTeachers);
+            }
+        });
+        this._journal = outerJournal;
+    }
+
+    // --- QUALITY SCORE ---
+    // Lower is better. Used by the worker to pick the best of several attempts.
+    scoreTimetable() {
+        const unassignedPeriods = this.unassignedLessons.reduce((acc, l) => acc + (l.periodsRemaining || 0), 0);
+
+        // Standard deviation of each teacher's daily load, over the days they actually work
+        let teacherLoadSpread = 0;
+        Object.entries(this.teacherStats).forEach(([teacher, stats]) => {
+            const workingDays = this._getTeacherAvailableDays(teacher);
+            if (workingDays.length === 0) return;
+            const loads = workingDays.map(day => stats.dailyPeriods[day]);
+            const mean = loads.reduce((a, b) => a + b, 0) / loads.length;
+            teacherLoadSpread += Math.sqrt(loads.reduce((acc, l) => acc + (l - mean) ** 2, 0) / loads.length);
+        });
+
+        // A double is fine; anything beyond two periods of one subject on one day counts as clustering
+        let subjectClustering = 0;
+        Object.values(this.timetables).forEach(classTimetable => {
+            Object.values(classTimetable).forEach(dayLessons => {
+                const perSubject = {};
+                Object.values(dayLessons).forEach(l => perSubject[l.subject] = (perSubject[l.subject] || 0) + 1);
+                Object.values(perSubject).forEach(count => subjectClustering += Math.max(0, count - 2));
+            });
+        });
+
+        const total = unassignedPeriods * SCORE_WEIGHTS.unassignedPeriods
+            + teacherLoadSpread * SCORE_WEIGHTS.teacherLoadSpread
+            + subjectClustering * SCORE_WEIGHTS.subjectClustering
+            + this.softPenalty.total * SCORE_WEIGHTS.softPenalty;
+
+        return {
+            total: Math.round(total * 100) / 100,
+            unassignedPeriods,
+            teacherLoadSpread: Math.round(teacherLoadSpread * 100) / 100,
+            subjectClustering,
+            softPenalty: this.softPenalty.total
+        };
+    }
+
+    _getTeacherAvailableDays(teacher) {
+        let days = [...this.schoolData.days];
+        const teacherAvail = this.constraints.teacherAvailability[teacher];
+        if (teacherAvail) {
+            if (teacherAvail.availableDays) days = days.filter(d => teacherAvail.availableDays.includes(d));
+            if (teacherAvail.unavailableDays) days = days.filter(d => !teacherAvail.unavailableDays.includes(d));
+            if (teacherAvail.windows) days = days.filter(d => teacherAvail.windows.some(w => !w.days || w.days.includes(d)));
+        }
+        return days;
+    }
+
+    // Per-teacher summary of the current timetable for the workload dashboard. Counts distinct
+    // periods, so a teacher taking a synchronized group counts once per period.
+    getTeacherWorkload() {
+        const workload = {};
+        Object.entries(this.teacherStats).forEach(([teacher, stats]) => {
+            const daily = {};
+            const gaps = {};
+            let longestRun = 0;
+            this.schoolData.days.forEach(day => {
+                const busy = this._getTeacherBusyPeriods(teacher, day);
+                daily[day] = busy.length;
+                gaps[day] = this._countGaps(teacher, busy);
+                longestRun = Math.max(longestRun, this._longestRun(busy));
+            });
+            workload[teacher] = {
+                required: stats.totalPeriods,
+                total: Object.values(daily).reduce((acc, n) => acc + n, 0),
+                daily,
+                gaps,
+                longestRun,
+                partTime: (this.constraints.partTimeTeachers || []).includes(teacher),
+                limits: {
+                    perDay: this._getTeacherLimit(teacher, "maxTeacherPeriodsPerDay"),
+                    perWeek: this._getTeacherLimit(teacher, "maxTeacherPeriodsPerWeek"),
+                    consecutive: this._getTeacherLimit(teacher, "maxTeacherConsecutivePeriods"),
+                    gapsPerDay: this._getTeacherLimit(teacher, "maxTeacherGapsPerDay")
+                }
+            };
+        });
+        return workload;
+    }
+
     _printTeacherStats() {
-        console.log("\n--- Teacher Workload Summary ---");
+        this._logger.log("\n--- Teacher Workload Summary ---");
         const sorted = Object.entries(this.teacherStats)
             .sort((a, b) => (b[1].totalPeriods || 0) - (a[1].totalPeriods || 0));
         
         sorted.forEach(([teacher, stats]) => {
             const dailyLoads = Object.entries(stats.dailyPeriods).map(([day, p]) => `${day.substr(0,1)}:${p}`).join(" ");
-            console.log(`  ${teacher.padEnd(25)}: ${stats.totalPeriods} total | ${dailyLoads}`);
+            this._logger.log(`  ${teacher.padEnd(25)}: ${stats.totalPeriods} total | ${dailyLoads}`);
         });
-        console.log("---------------------------------");
+        this._logger.log("---------------------------------");
     }
+
+    // Runs up to `attempts` generations (seed, seed + 1, ...) and keeps the best score, stopping early
+    // on a perfect score or when `timeBudgetMs` runs out. Shared by the worker and the Node CLI.
+    // `onProgress(attempt, bestScore)` is called after every attempt.
+    static generateBest(schoolData, constraints, { seed, preAssignments = [], attempts = 20, timeBudgetMs = 15000, onProgress, logger } = {}) {
+        const startTime = Date.now();
+        let baseSeed = seed;
+        let best = null;
+        let attemptsRun = 0;
+
+        while (attemptsRun < attempts) {
+            const generator = new TimetableGenerator(schoolData, constraints, {
+                seed: baseSeed === undefined ? undefined : (baseSeed + attemptsRun) >>> 0,
+                preAssignments,
+                logger
+            });
+            if (baseSeed === undefined) baseSeed = generator.seed;
+
+            const timetables = generator.generate();
+            const score = generator.scoreTimetable();
+            attemptsRun++;
+
+            if (!best || score.total < best.score.total) {
+                best = {
+                    timetables,
+                    unassigned: generator.unassignedLessons,
+                    rejectedPreAssignments: generator.rejectedPreAssignments,
+                    seed: generator.seed,
+                    score,
+                    softPenalty: generator.softPenalty,
+                    teacherStats: generator.getTeacherWorkload(),
+                    structureViolations: generator.getStructureViolations()
+                };
+            }
+            if (onProgress) onProgress(attemptsRun, best.score);
+
+            // A perfect score can't be beaten, and the budget keeps large schools from hanging
+            if (best.score.total === 0 || Date.now() - startTime >= timeBudgetMs) break;
+        }
+        return { ...best, attemptsRun };
+    }
+
+    // generateBest for every week of a cycle. Weeks never constrain each other (every limit is per
+    // day or per week), so each week is a separate run with its own generator and globalSchedule
+    // rather than one schedule keyed by week: nothing looks across weeks, e.g. to keep a class's
+    // lessons in the same slots from one week to the next. The runs share the time budget, and week
+    // i is seeded from the base seed plus i times a large odd step, so weeks don't repeat each
+    // other's choices and each week's result reports the seed that reproduces it. A pre-assignment
+    // with a `week` holds in that week only; one without holds in every week. Returns
+    // { weeks, results: { week: generateBest result }, seed (the base seed), score (summed), attemptsRun };
+    // `onProgress(attempt, bestScore, week)` is called after every attempt.
+    static generateCycle(schoolData, constraints, { seed, preAssignments = [], attempts = 20, timeBudgetMs = 15000, onProgress, logger } = {}) {
+        const weeks = TimetableGenerator.getCycleWeeks(schoolData);
+        const baseSeed = seed === undefined ? Math.floor(Math.random() * 4294967296) : seed >>> 0;
+        const results = {};
+        weeks.forEach((week, weekIndex) => {
+            results[week] = TimetableGenerator.generateBest(TimetableGenerator.getWeekSchoolData(schoolData, week), constraints, {
+                seed: (baseSeed + weekIndex * 0x9E3779B9) >>> 0,
+                preAssignments: preAssignments.filter(p => !p.week || p.week === week),
+                attempts,
+                timeBudgetMs: timeBudgetMs / weeks.length,
+                logger,
+                onProgress: onProgress && ((attempt, bestScore) => onProgress(attempt, bestScore, week))
+            });
+        });
+
+        const score = {};
+        Object.keys(results[weeks[0]].score).forEach(key => {
+            score[key] = Math.round(weeks.reduce((acc, week) => acc + results[week].score[key], 0) * 100) / 100;
+        });
+        const attemptsRun = weeks.reduce((acc, week) => acc + results[week].attemptsRun, 0);
+        return { weeks, results, seed: baseSeed, score, attemptsRun };
+    }
+}
+
+// Browser pages and the worker share this class as a global; Node (cli.js, the tests) requires it
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableGenerator;
 }
\ No newline at end of file
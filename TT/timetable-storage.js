@@ -0,0 +1,119 @@
+// --- FILE: timetable-storage.js ---
+
+// Saves complete generation results ("versions") in localStorage and converts them to and from
+// JSON files. A version carries its own copy of the data.json it was generated from, so loading
+// an old draft never mixes it with rules that have changed since.
+
+const STORAGE_KEY = 'saistimetable.versions';
+const AUTOSAVE_KEY = 'saistimetable.autosave';
+const VERSION_FORMAT = 1;
+
+class TimetableStorage {
+    constructor(storage = window.localStorage) {
+        this.storage = storage;
+    }
+
+    // Newest first, without the bulky timetables, for the version list
+    listVersions() {
+        return this._readAll()
+            .map(({ id, name, savedAt, seed, score }) => ({ id, name, savedAt, seed, score }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    loadVersion(id) {
+        return this._readAll().find(v => v.id === id) || null;
+    }
+
+    // Stores a new version (or replaces the one with the same id) and returns it
+    saveVersion(version) {
+        const saved = TimetableStorage.normalise({
+            ...version,
+            id: version.id || `v${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            savedAt: new Date().toISOString()
+        });
+        const versions = this._readAll().filter(v => v.id !== saved.id);
+        versions.push(saved);
+        this._writeAll(versions);
+        return saved;
+    }
+
+    deleteVersion(id) {
+        this._writeAll(this._readAll().filter(v => v.id !== id));
+    }
+
+    // The autosave slot holds the latest working state and is overwritten on every change
+    autosave(version) {
+        this.storage.setItem(AUTOSAVE_KEY, JSON.stringify(TimetableStorage.normalise({ ...version, id: 'autosave', savedAt: new Date().toISOString() })));
+    }
+
+    loadAutosave() {
+        try {
+            const raw = this.storage.getItem(AUTOSAVE_KEY);
+            return raw ? TimetableStorage.normalise(JSON.parse(raw)) : null;
+        } catch (error) {
+            console.warn("Storage: ignoring unreadable autosave.", error);
+            return null;
+        }
+    }
+
+    static exportVersion(version) {
+        return JSON.stringify({ format: VERSION_FORMAT, ...version }, null, 2);
+    }
+
+    // Parses an exported file, throwing an Error with a readable message if it isn't one
+    static importVersion(text) {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error("The file is not valid JSON.");
+        }
+        if (parsed.format !== VERSION_FORMAT) throw new Error(`Unsupported timetable file format: ${parsed.format}`);
+        if (!parsed.timetables || !parsed.data?.schoolData || !parsed.data?.constraints) {
+            throw new Error("The file does not contain a saved timetable (timetables and data are required).");
+        }
+        // Imported files get a fresh id so they never overwrite an existing draft
+        const { format, id, ...version } = parsed;
+        return TimetableStorage.normalise(version);
+    }
+
+    static normalise(version) {
+        return {
+            id: version.id,
+            name: version.name || 'Untitled draft',
+            savedAt: version.savedAt || new Date().toISOString(),
+            seed: version.seed ?? null,
+            score: version.score || null,
+            timetables: version.timetables,
+            unassigned: version.unassigned || [],
+            pins: {
+                lessons: version.pins?.lessons || [],
+                classes: version.pins?.classes || [],
+                days: version.pins?.days || []
+            },
+            data: version.data,
+            // Multi-week cycles: { weeks, results: { week: result } }; `timetables` is the week on screen
+            cycle: version.cycle || null,
+            week: version.week || null
+        };
+    }
+
+    _readAll() {
+        try {
+            const raw = this.storage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : [];
+        } catch (error) {
+            console.warn("Storage: saved versions are unreadable; starting with an empty list.", error);
+            return [];
+        }
+    }
+
+    _writeAll(versions) {
+        // Quota errors are left to the caller, which can tell the user the draft was not saved
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(versions));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableStorage;
+}
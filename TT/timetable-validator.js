@@ -0,0 +1,380 @@
+// --- FILE: timetable-validator.js ---
+
+// Checks schoolData/constraints for problems the generator would otherwise only surface as
+// unassigned lessons. Depends on timetable-generator.js being loaded first: free slots,
+// divisions and teacher days are worked out by a TimetableGenerator so both always agree.
+
+// Expected in some weeks of a multi-week cycle (a teacher or rule for a subject taught every other
+// week), so only reported when they hold in every week
+const PER_WEEK_ONLY_WARNINGS = ["unused-teacher-assignment", "unused-double-rule"];
+
+class TimetableValidator {
+    // In the browser and the worker the generator is already loaded; Node requires it here
+    static Generator = typeof TimetableGenerator === "undefined" ? require("./timetable-generator.js") : TimetableGenerator;
+
+    constructor(schoolData, constraints) {
+        this.schoolData = schoolData;
+        this.constraints = constraints;
+        this.errors = [];
+        this.warnings = [];
+        this.generator = new TimetableValidator.Generator(schoolData, constraints);
+    }
+
+    // Returns { valid, canGenerate, errors, warnings }. canGenerate is false when the data's skeleton
+    // is broken (a missing section, a class without a division, ...), which the generator can't run on.
+    validate() {
+        this.errors = [];
+        this.warnings = [];
+
+        const weeks = TimetableValidator.Generator.getCycleWeeks(this.schoolData);
+        if (weeks) {
+            this._checkCycle(weeks);
+            const canGenerate = this.errors.length === 0 && this._checkWeeks(weeks);
+            return { valid: this.errors.length === 0, canGenerate, errors: this.errors, warnings: this.warnings };
+        }
+
+        this._checkStructure();
+        // The remaining checks walk the data and would only throw on a broken skeleton, as would the generator
+        const canGenerate = this.errors.length === 0;
+        if (canGenerate) {
+            this._checkSpecialEvents();
+            this._checkClassCapacity();
+            this._checkSubjectTeachers();
+            this._checkRestrictedSubjects();
+            this._checkTeacherCapacity();
+            this._checkTeacherAvailability();
+            this._checkRooms();
+            this._checkSynchronizedGroups();
+            this._checkDoublePeriodRules();
+        }
+
+        return { valid: this.errors.length === 0, canGenerate, errors: this.errors, warnings: this.warnings };
+    }
+
+    _error(code, message, details = {}) {
+        this.errors.push({ code, message, ...details });
+    }
+
+    _warn(code, message, details = {}) {
+        this.warnings.push({ code, message, ...details });
+    }
+
+    _checkStructure() {
+        const { periods, days, divisionSchedules, classes, subjects, teachers, specialEvents } = this.schoolData;
+        if (!Array.isArray(periods) || periods.length === 0) this._error("missing-periods", "schoolData.periods must list at least one period");
+        if (!Array.isArray(days) || days.length === 0) this._error("missing-days", "schoolData.days must list at least one day");
+        if (!divisionSchedules) this._error("missing-division-schedules", "schoolData.divisionSchedules is missing");
+        if (!classes) this._error("missing-classes", "schoolData.classes is missing; every class needs a declared division");
+        if (!subjects) this._error("missing-subjects", "schoolData.subjects is missing");
+        if (!teachers) this._error("missing-teachers", "schoolData.teachers is missing");
+        if (!Array.isArray(specialEvents)) this._error("missing-special-events", "schoolData.specialEvents must be a list (it may be empty)");
+
+        ["teacherAvailability", "subjectRestrictions", "workloadLimits"].forEach(key => {
+            if (!this.constraints[key]) this._error("missing-constraint", `constraints.${key} is missing`, { constraint: key });
+        });
+        ["singleResourceSubjects", "teacherWorkloadExceptions", "doublePeriodSubjects"].forEach(key => {
+            if (!Array.isArray(this.constraints[key])) this._error("missing-constraint", `constraints.${key} must be a list`, { constraint: key });
+        });
+        if (this.errors.length > 0) return;
+
+        Object.keys(teachers).forEach(className => {
+            if (!classes[className]) {
+                this._error("unknown-class", `${className} has teachers but is not declared in schoolData.classes`, { className });
+                return;
+            }
+            const division = this.generator._getClassDivision(className);
+            const schedule = this.generator._getClassSchedule(className);
+            if (!schedule || !Array.isArray(schedule.lessonSlots)) {
+                this._error("unknown-division-schedule", `${className} is in ${division}, which has no entry in divisionSchedules and no schedule override`, { className, division });
+            }
+            if (!subjects[division]) {
+                this._error("unknown-division-subjects", `${className} is in ${division}, which has no entry in subjects`, { className, division });
+            }
+        });
+        Object.keys(classes).forEach(className => {
+            if (!teachers[className]) {
+                this._warn("class-without-teachers", `${className} is declared in schoolData.classes but has no teachers, so it gets no lessons`, { className });
+            }
+        });
+    }
+
+    _checkCycle(weeks) {
+        weeks.forEach((week, i) => {
+            if (typeof week !== "string" || week === "") this._error("invalid-week", `schoolData.weeks[${i}] needs a name`);
+            else if (weeks.indexOf(week) !== i) this._error("duplicate-week", `Week ${week} is listed more than once`, { week });
+        });
+        this.schoolData.weeks.forEach(({ name, subjects = {} }) => {
+            Object.keys(subjects).forEach(division => {
+                if (!this.schoolData.subjects?.[division]) {
+                    this._error("unknown-week-division", `Week ${name} sets subjects for ${division}, which has no entry in subjects`, { week: name, division });
+                }
+            });
+        });
+        (Array.isArray(this.schoolData.specialEvents) ? this.schoolData.specialEvents : []).forEach(event => {
+            (event.weeks || []).filter(week => !weeks.includes(week)).forEach(week => {
+                this._error("unknown-event-week", `Special event "${event.name}" is in unknown week "${week}"`, { event: event.name, week });
+            });
+        });
+    }
+
+    // Each week of a cycle is a school week of its own, so it is validated as one. Problems found in
+    // every week are reported once; the rest name the weeks they turn up in. Returns whether every week can be generated.
+    _checkWeeks(weeks) {
+        const found = { errors: new Map(), warnings: new Map() };
+        let canGenerate = true;
+        weeks.forEach(week => {
+            const result = new TimetableValidator(TimetableValidator.Generator.getWeekSchoolData(this.schoolData, week), this.constraints).validate();
+            canGenerate = canGenerate && result.canGenerate;
+            ["errors", "warnings"].forEach(kind => result[kind].forEach(issue => {
+                if (!found[kind].has(issue.message)) found[kind].set(issue.message, { issue, weeks: [] });
+                found[kind].get(issue.message).weeks.push(week);
+            }));
+        });
+        ["errors", "warnings"].forEach(kind => found[kind].forEach(({ issue, weeks: issueWeeks }) => {
+            if (issueWeeks.length === weeks.length) this[kind].push(issue);
+            else if (!PER_WEEK_ONLY_WARNINGS.includes(issue.code)) this[kind].push({ ...issue, message: `Week ${issueWeeks.join(", ")}: ${issue.message}`, weeks: issueWeeks });
+        }));
+        return canGenerate;
+    }
+
+    _checkSpecialEvents() {
+        const periodIds = this.schoolData.periods.map(p => p.id);
+        this.schoolData.specialEvents.forEach(event => {
+            if (event.weeks) {
+                this._warn("event-weeks-without-cycle", `Special event "${event.name}" names weeks, but schoolData.weeks defines no cycle, so it happens every week`, { event: event.name });
+            }
+            if (!this.schoolData.days.includes(event.day)) {
+                this._error("unknown-event-day", `Special event "${event.name}" is on unknown day "${event.day}"`, { event: event.name });
+            }
+            (event.periodIds || [event.periodId]).forEach(periodId => {
+                if (!periodIds.includes(periodId)) {
+                    this._error("unknown-event-period", `Special event "${event.name}" uses unknown period ${periodId}`, { event: event.name });
+                }
+            });
+        });
+    }
+
+    _getFreeSlotCount(className, days = this.schoolData.days) {
+        return days.reduce((acc, day) => acc + this.generator._getAvailableLessonSlots(className, day).length, 0);
+    }
+
+    // Every period id that is a lesson slot for at least one class
+    _getAllLessonPeriods() {
+        return new Set(Object.keys(this.schoolData.teachers).flatMap(c => this.generator._getClassSchedule(c).lessonSlots));
+    }
+
+    _checkClassCapacity() {
+        Object.keys(this.schoolData.teachers).forEach(className => {
+            const division = this.generator._getClassDivision(className);
+            const needed = Object.values(this.schoolData.subjects[division]).reduce((a, b) => a + b, 0);
+            const available = this._getFreeSlotCount(className);
+            if (needed > available) {
+                this._error("class-over-capacity", `${className} needs ${needed} periods but has only ${available} free slots`, { className, needed, available });
+            } else if (needed === available) {
+                this._warn("class-at-capacity", `${className} needs all ${available} of its free slots, leaving the generator no room to manoeuvre`, { className, needed, available });
+            }
+        });
+    }
+
+    _checkSubjectTeachers() {
+        Object.entries(this.schoolData.teachers).forEach(([className, classTeachers]) => {
+            const division = this.generator._getClassDivision(className);
+            const divisionSubjects = this.schoolData.subjects[division];
+            Object.entries(divisionSubjects).forEach(([subject, periods]) => {
+                if (periods > 0 && !classTeachers[subject]) {
+                    this._error("missing-teacher", `${className} needs ${periods} periods of ${subject} but has no teacher for it`, { className, subject });
+                }
+                const cap = this.generator._getSubjectDailyCap(className, subject);
+                const maxPossible = cap * this.schoolData.days.length;
+                if (periods > maxPossible) {
+                    this._error("subject-over-daily-cap", `${className} needs ${periods} periods of ${subject} but the daily cap of ${cap} allows only ${maxPossible}`, { className, subject });
+                }
+            });
+            Object.keys(classTeachers).forEach(subject => {
+                if (divisionSubjects[subject] === undefined) {
+                    this._warn("unused-teacher-assignment", `${className} has a teacher for ${subject}, but ${division} allocates no ${subject} periods`, { className, subject });
+                }
+            });
+        });
+    }
+
+    _checkRestrictedSubjects() {
+        Object.entries(this.constraints.subjectRestrictions).forEach(([subject, rule]) => {
+            if (!rule.days) return;
+            rule.days.filter(day => !this.schoolData.days.includes(day)).forEach(day => {
+                this._error("unknown-restriction-day", `${subject} is restricted to unknown day "${day}"`, { subject });
+            });
+
+            Object.keys(this.schoolData.teachers).forEach(className => {
+                const division = this.generator._getClassDivision(className);
+                const needed = this.schoolData.subjects[division][subject];
+                if (!needed) return;
+                const cap = this.generator._getSubjectDailyCap(className, subject);
+                const available = rule.days.reduce((acc, day) =>
+                    acc + Math.min(cap, this.schoolData.days.includes(day) ? this.generator._getAvailableLessonSlots(className, day).length : 0), 0);
+                if (needed > available) {
+                    this._error("restricted-subject-over-capacity", `${className} needs ${needed} periods of ${subject} but only ${available} fit on ${rule.days.join(", ")}`, { className, subject, needed, available });
+                }
+            });
+        });
+    }
+
+    _getTeacherLoads() {
+        const loads = {};
+        Object.entries(this.schoolData.teachers).forEach(([className, classTeachers]) => {
+            const division = this.generator._getClassDivision(className);
+            Object.entries(classTeachers).forEach(([subject, teacher]) => {
+                const periods = this.schoolData.subjects[division][subject] || 0;
+                loads[teacher] = (loads[teacher] || 0) + periods;
+            });
+        });
+        return loads;
+    }
+
+    _checkTeacherCapacity() {
+        // A teacher can't teach more periods in a day than their classes have lesson slots
+        const teacherLessonSlots = this.generator._getTeacherLessonSlots();
+        Object.entries(this._getTeacherLoads()).forEach(([teacher, needed]) => {
+            const lessonPeriods = teacherLessonSlots[teacher]?.size || 0;
+            const dailyLimit = this.generator._getTeacherLimit(teacher, "maxTeacherPeriodsPerDay");
+            const minFree = this.generator._getTeacherLimit(teacher, "minTeacherFreePeriodsPerDay") || 0;
+            const weeklyLimit = this.generator._getTeacherLimit(teacher, "maxTeacherPeriodsPerWeek");
+            const days = this.generator._getTeacherAvailableDays(teacher);
+            const perDay = Math.min(dailyLimit ?? Infinity, lessonPeriods - minFree);
+            const available = days.length * perDay;
+
+            if (days.length === 0 && needed > 0) {
+                this._error("teacher-never-available", `${teacher} teaches ${needed} periods but is not available on any day`, { teacher, needed });
+            } else if (weeklyLimit && needed > weeklyLimit) {
+                this._error("teacher-over-weekly-limit", `${teacher} needs ${needed} periods but is limited to ${weeklyLimit} per week`, { teacher, needed, available: weeklyLimit });
+            } else if (needed > available) {
+                this._error("teacher-over-capacity", `${teacher} needs ${needed} periods but can teach at most ${available} (${days.length} days x ${perDay} per day)`, { teacher, needed, available });
+            } else if (needed > available * 0.9) {
+                this._warn("teacher-near-capacity", `${teacher} needs ${needed} of at most ${available} periods`, { teacher, needed, available });
+            }
+        });
+    }
+
+    _checkTeacherAvailability() {
+        const loads = this._getTeacherLoads();
+        const groupTeachers = new Set(this.generator._getSynchronizedGroups().flatMap(group => group.teachers || []));
+        Object.entries(this.constraints.teacherAvailability).forEach(([teacher, rule]) => {
+            if (loads[teacher] === undefined && !groupTeachers.has(teacher)) {
+                this._warn("unknown-teacher", `teacherAvailability lists ${teacher}, who is not assigned to any class`, { teacher });
+            }
+            const slotRules = [...(rule.unavailableSlots || []), ...(rule.windows || []), ...(rule.preferNotSlots || [])];
+            [...(rule.availableDays || []), ...(rule.unavailableDays || []), ...slotRules.flatMap(entry => entry.days || [])]
+                .filter(day => !this.schoolData.days.includes(day))
+                .forEach(day => this._error("unknown-availability-day", `${teacher}'s availability uses unknown day "${day}"`, { teacher }));
+            const periodIds = this.schoolData.periods.map(p => p.id);
+            [...(rule.unavailableSlots || []), ...(rule.preferNotSlots || [])].flatMap(entry => entry.periods || [])
+                .filter(id => !periodIds.includes(id))
+                .forEach(id => this._error("unknown-availability-period", `${teacher}'s availability uses unknown period ${id}`, { teacher }));
+            (rule.windows || []).filter(w => !(w.from <= w.to)).forEach(w => {
+                this._error("invalid-availability-window", `${teacher}'s availability window ${w.from}-${w.to} is empty`, { teacher });
+            });
+        });
+        Object.keys(this.constraints.workloadLimits.teacherOverrides || {})
+            .filter(teacher => loads[teacher] === undefined && !groupTeachers.has(teacher))
+            .forEach(teacher => this._warn("unknown-teacher", `workloadLimits.teacherOverrides lists ${teacher}, who is not assigned to any class`, { teacher }));
+        (this.constraints.partTimeTeachers || []).forEach(teacher => {
+            if (!this.constraints.teacherAvailability[teacher]) {
+                this._warn("part-time-without-availability", `${teacher} is part-time but has no teacherAvailability entry, so will be scheduled on any day`, { teacher });
+            }
+        });
+    }
+
+    _checkRooms() {
+        const { rooms } = this.constraints;
+        if (rooms) {
+            const types = rooms.types || {};
+            Object.entries(types).forEach(([type, roomType]) => {
+                if (!roomType.perClass && !(Array.isArray(roomType.rooms) && roomType.rooms.length > 0)) {
+                    this._error("empty-room-type", `Room type ${type} needs a list of rooms or "perClass": true`, { roomType: type });
+                }
+            });
+            Object.entries(rooms.subjectRoomTypes || {}).forEach(([subject, type]) => {
+                if (!types[type]) this._error("unknown-room-type", `${subject} needs room type ${type}, which is not defined in rooms.types`, { subject, roomType: type });
+            });
+            if (rooms.defaultRoomType && !types[rooms.defaultRoomType]) {
+                this._error("unknown-room-type", `rooms.defaultRoomType ${rooms.defaultRoomType} is not defined in rooms.types`, { roomType: rooms.defaultRoomType });
+            }
+            if (this.errors.some(e => e.code === "empty-room-type" || e.code === "unknown-room-type")) return;
+        }
+
+        // Shared rooms (not homerooms) must be able to hold every lesson that needs them
+        const demand = {};
+        Object.entries(this.schoolData.teachers).forEach(([className, classTeachers]) => {
+            const division = this.generator._getClassDivision(className);
+            Object.keys(classTeachers).forEach(subject => {
+                const options = this.generator._getRoomOptions(className, subject);
+                if (!options || rooms?.types?.[options.label]?.perClass) return;
+                if (!demand[options.label]) demand[options.label] = { needed: 0, rooms: options.rooms.length };
+                demand[options.label].needed += this.schoolData.subjects[division][subject] || 0;
+            });
+        });
+        const periodsPerRoom = this._getAllLessonPeriods().size * this.schoolData.days.length;
+        Object.entries(demand).forEach(([label, { needed, rooms: roomCount }]) => {
+            const available = roomCount * periodsPerRoom;
+            if (needed > available) {
+                this._error("room-over-capacity", `${label} needs ${needed} periods but its ${roomCount} room${roomCount > 1 ? 's have' : ' has'} only ${available}`, { roomType: label, needed, available });
+            }
+        });
+    }
+
+    // Every class in a group must exist, have a teacher for its subject and need the same number of periods
+    _checkSynchronizedGroups() {
+        this.generator._getSynchronizedGroups().forEach(group => {
+            const label = this.generator._groupLabel(group);
+            if (!Array.isArray(group.classes) || group.classes.length < 2) {
+                this._error("invalid-sync-group", `Synchronized group ${label} needs at least two classes`, { group: label });
+                return;
+            }
+            const unknown = group.classes.filter(c => !this.schoolData.teachers[c]);
+            if (unknown.length > 0) {
+                this._error("unknown-sync-class", `Synchronized group ${label} lists unknown classes: ${unknown.join(', ')}`, { group: label, classes: unknown });
+                return;
+            }
+            const members = this.generator._getGroupMembers(group);
+            members.filter(m => !m.subject || !m.teacher).forEach(m => {
+                this._error("sync-missing-teacher", `Synchronized group ${label}: ${m.className} has no teacher for ${m.subject || 'its subject'}`, { group: label, className: m.className, subject: m.subject });
+            });
+            const periods = [...new Set(members.map(m => this.schoolData.subjects[this.generator._getClassDivision(m.className)]?.[m.subject] || 0))];
+            if (group.periods === undefined && periods.length > 1) {
+                this._warn("sync-period-mismatch", `Synchronized group ${label}: classes need different numbers of periods (${periods.join(', ')}); the first class sets the count`, { group: label, periods });
+            }
+            if (group.structure) {
+                const total = 2 * (group.structure.doubles || 0) + (group.structure.singles || 0);
+                const needed = group.periods ?? periods[0];
+                if (total !== needed) {
+                    const outcome = total < needed ? "the rest are scheduled as singles" : "the structure is cut short";
+                    this._warn("sync-structure-mismatch", `Synchronized group ${label}: structure adds up to ${total} periods but ${needed} are needed; ${outcome}`, { group: label, total, needed });
+                }
+            }
+        });
+    }
+
+    _checkDoublePeriodRules() {
+        this.constraints.doublePeriodSubjects.forEach(rule => {
+            rule.divisions.forEach(division => {
+                const periods = this.schoolData.subjects[division]?.[rule.subject];
+                if (periods === undefined) {
+                    this._warn("unused-double-rule", `Double period rule for ${rule.subject} names ${division}, which has no ${rule.subject} periods`, { subject: rule.subject, division });
+                    return;
+                }
+                if (rule.strict === "mixed") {
+                    const { doubles = 0, singles = 0 } = rule.structure || {};
+                    if (doubles * 2 + singles !== periods) {
+                        this._warn("double-structure-mismatch", `${rule.subject} in ${division} has ${periods} periods, but its structure of ${doubles} doubles + ${singles} singles adds up to ${doubles * 2 + singles}`, { subject: rule.subject, division });
+                    }
+                } else if (rule.strict === true && periods % 2 !== 0) {
+                    this._warn("odd-strict-double", `${rule.subject} in ${division} must be taught in doubles but has an odd number of periods (${periods}); the last one is taught as a single on a day of its own`, { subject: rule.subject, division });
+                }
+            });
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TimetableValidator;
+}